@@ -3,35 +3,206 @@
 import { CONFIG } from './src/config.js';
 import { PulsarManager } from './src/PulsarManager.js';
 import { ArgumentParser } from './src/ArgumentParser.js';
+import { BulkReader } from './src/BulkReader.js';
+import { InteractiveSession } from './src/InteractiveSession.js';
+import { Logger } from './src/Logger.js';
+import { MessageFormatter } from './src/MessageFormatter.js';
+import { generateCompletion } from './src/completion.js';
+import { handleSignals, reportEvents } from './src/cli.js';
+
+/**
+ * Writes the received messages to stdout in the requested output format until a bound is reached, then checks --expect
+ * With several topics, text output names the topic of each message.
+ * @param {PulsarConsumer} consumer - The subscribed consumer or positioned reader
+ * @param {ArgumentParser} argParser - The argument parser instance
+ * @param {Logger} logger - The logger of the command-line tool
+ * @returns {Promise<void>}
+ */
+async function consume(consumer, argParser, logger) {
+  const formatter = new MessageFormatter(argParser.getOutputFormat(), argParser.isMultiTopic());
+  for await (const record of consumer) {
+    process.stdout.write(formatter.formatMessage(record));
+  }
+
+  const { received, reason } = consumer.outcome;
+  logger.info(`Stopped after ${received} message(s): ${reason}`, { received, reason });
+
+  const { expect } = argParser.getBounds();
+  if (expect && received < expect) {
+    throw new Error(`Expected at least ${expect} message(s), received ${received}`);
+  }
+}
+
+/**
+ * Formats rows as a table with aligned columns
+ * @param {string[]} headers - The column headers
+ * @param {Array<Array<*>>} rows - The rows
+ * @returns {string} The formatted table
+ */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows.map((row) => row.map(String))];
+  const widths = headers.map((_, column) => Math.max(...cells.map((row) => row[column].length)));
+  return cells.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Formats the statistics of a topic for humans
+ * @param {object} stats - The topic statistics, as returned by the admin API
+ * @returns {string} The formatted statistics
+ */
+function formatTopicStats(stats) {
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  const summary = formatTable(['METRIC', 'VALUE'], [
+    ['Messages in/s', round(stats.msgRateIn)],
+    ['Messages out/s', round(stats.msgRateOut)],
+    ['Bytes in/s', round(stats.msgThroughputIn)],
+    ['Bytes out/s', round(stats.msgThroughputOut)],
+    ['Storage size', stats.storageSize ?? 0],
+    ['Backlog size', stats.backlogSize ?? 0],
+    ['Producers', (stats.publishers || []).length]
+  ]);
+
+  const subscriptions = Object.entries(stats.subscriptions || {}).map(([name, subscription]) => [
+    name,
+    subscription.type ?? '',
+    subscription.msgBacklog ?? 0,
+    (subscription.consumers || []).length,
+    round(subscription.msgRateOut)
+  ]);
+
+  return subscriptions.length === 0
+    ? `${summary}\n\nNo subscriptions`
+    : `${summary}\n\n${formatTable(['SUBSCRIPTION', 'TYPE', 'BACKLOG', 'CONSUMERS', 'OUT/S'], subscriptions)}`;
+}
+
+/**
+ * Runs an admin command and prints its result as a table or as JSON
+ * @param {PulsarManager} pulsarManager - The Pulsar manager instance
+ * @param {ArgumentParser} argParser - The argument parser instance
+ * @returns {Promise<void>}
+ */
+async function admin(pulsarManager, argParser) {
+  const adminCommand = argParser.getAdminCommand();
+  const options = argParser.getAdminOptions();
+  const result = await pulsarManager.runAdminCommand(adminCommand, options);
+
+  if (options.output === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  switch (`${adminCommand.command} ${adminCommand.action}`) {
+    case 'topics list':
+      console.log(formatTable(['TOPIC', 'PARTITIONS'], result.map(({ topic, partitions }) => [topic, partitions])));
+      break;
+    case 'topics create':
+      console.log(`Topic ${result.topic} created${result.partitions > 0 ? ` with ${result.partitions} partitions` : ''}`);
+      break;
+    case 'topics delete':
+      console.log(`Topic ${result.topic} deleted`);
+      break;
+    case 'topics stats':
+      console.log(formatTopicStats(result));
+      break;
+    case 'namespaces list':
+      console.log(formatTable(['NAMESPACE'], result.map((namespace) => [namespace])));
+      break;
+    case 'subscriptions list':
+      console.log(formatTable(
+        ['SUBSCRIPTION', 'TYPE', 'BACKLOG', 'CONSUMERS'],
+        result.map(({ subscription, type, backlog, consumers }) => [subscription, type ?? '', backlog, consumers])
+      ));
+      break;
+    case 'subscriptions reset':
+      console.log(`Subscription ${result.subscription} reset to ${result.resetTo}`);
+      break;
+    case 'subscriptions skip':
+      console.log(`Skipped ${result.skipped} message(s) on subscription ${result.subscription}`);
+      break;
+    case 'subscriptions clear':
+      console.log(`Backlog of subscription ${result.subscription} cleared`);
+      break;
+    case 'subscriptions delete':
+      console.log(`Subscription ${result.subscription} deleted`);
+      break;
+  }
+}
 
 async function main() {
   const argParser = new ArgumentParser(process.argv.slice(2));
-  const pulsarManager = new PulsarManager(CONFIG, argParser);
+  const logger = new Logger(argParser.getLogOptions());
+  const pulsarManager = new PulsarManager(CONFIG, { profile: argParser.getValue('profile'), prompt: true });
+  let session = null;
+  reportEvents(pulsarManager, logger);
+  handleSignals(() => {
+    pulsarManager.stop();
+    session?.stop();
+  }, logger);
 
   try {
-    await argParser.validateArgs();
-    await pulsarManager.connect(argParser.getThreads());
+    if (!(await argParser.validateArgs())) return;
+    // Admin commands go through the HTTP admin API, and completion scripts need no connection
+    if (!['ADMIN', 'COMPLETION'].includes(argParser.mode)) {
+      await pulsarManager.connect(argParser.getThreads());
+    }
+    const metricsPort = argParser.getMetricsPort();
+    if (metricsPort) {
+      await pulsarManager.serveMetrics(metricsPort);
+    }
 
-    if (argParser.hasParam('since')) {
-      await pulsarManager.createConsumer(null, argParser.getSinceValue());
-      await pulsarManager.receiveMessages();
+    if (argParser.mode === 'ADMIN') {
+      await admin(pulsarManager, argParser);
+    } else if (argParser.mode === 'COMPLETION') {
+      console.log(generateCompletion(argParser.getValue('shell')));
+    } else if (argParser.hasParam('export')) {
+      const exported = await pulsarManager.exportTopic(argParser.getValue('export'), argParser.getExportOptions());
+      // The archive may be written to stdout, so the summary is logged
+      logger.info(`Export completed: ${exported} message(s)`, { exported });
+    } else if (argParser.hasParam('import')) {
+      await pulsarManager.createProducer(argParser.getProducerOptions());
+      const { sent, failed } = await pulsarManager.importArchive(argParser.getValue('import'), {
+        format: argParser.getFormat(),
+        speed: argParser.getReplaySpeed()
+      });
+      logger.info(`Import completed: ${sent} sent, ${failed} failed`, { sent, failed });
+      if (failed > 0) {
+        throw new Error(`${failed} record(s) could not be sent`);
+      }
+    } else if (argParser.hasParam('mirror')) {
+      const { copied, failed } = await pulsarManager.runMirror(argParser.getMirrorOptions());
+      logger.info(`Mirror stopped: ${copied} copied, ${failed} failed`, { copied, failed });
+    } else if (argParser.mode === 'INTERACTIVE') {
+      session = new InteractiveSession(pulsarManager, CONFIG, argParser.getValue('topic') || CONFIG.defaultTopic, logger);
+      if (pulsarManager.stopRequested) session.stop();
+      await session.run();
+    } else if (argParser.mode === 'READER') {
+      await consume(await pulsarManager.createReader(argParser.getReaderOptions()), argParser, logger);
     } else if (argParser.hasParam('send')) {
-      await pulsarManager.createProducer(argParser.getCompression());
-      await pulsarManager.sendMessage(argParser.getValue('send'), argParser.getValue('key') || CONFIG.defaultKey);
-      console.log('Message sent successfully');
+      await pulsarManager.createProducer(argParser.getProducerOptions());
+      const message = argParser.getValue('send');
+      const key = argParser.getValue('key') || CONFIG.defaultKey;
+      await pulsarManager.sendMessage(message, key, argParser.getSendOptions());
+    } else if (argParser.hasParam('file')) {
+      await pulsarManager.createProducer(argParser.getProducerOptions());
+      const reader = new BulkReader(argParser.getValue('file'), argParser.getFormat());
+      const { sent, failed } = await pulsarManager.sendBulk(reader.records(), argParser.getValue('key') || undefined);
+      logger.info(`Bulk send completed: ${sent} sent, ${failed} failed`, { sent, failed });
+      if (failed > 0) {
+        throw new Error(`${failed} record(s) could not be sent`);
+      }
     } else {
-      await pulsarManager.createConsumer(argParser.getSubscriptionType(), argParser.getReadPosition());
-      await pulsarManager.receiveMessages();
+      await consume(await pulsarManager.createConsumer(argParser.getConsumerOptions()), argParser, logger);
     }
   }
   // If an error occurs, log it and exit the process after some cleaning
   catch (err) {
-    console.error("[Error]", err.message);
-    process.exit(1);
+    logger.error(err.message);
+    process.exitCode = 1;
   }
   finally {
     await pulsarManager.cleanup();
   }
+  process.exit();
 }
 
 main();
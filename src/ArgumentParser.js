@@ -1,4 +1,10 @@
 import { CONFIG } from './config.js';
+import { COMMANDS, OPTIONS, STRESS_COMMAND, getCommandOptions } from './commands.js';
+import { formatCommandHelp, formatMainHelp, formatStressHelp, formatUsage } from './help.js';
+import { MessageFilter } from './MessageFilter.js';
+import { PayloadGenerator, parsePayloadSize } from './PayloadGenerator.js';
+import { parseMessageId } from './messageId.js';
+import { isPartitionName, isValidTopicName } from './topicName.js';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -6,28 +12,54 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const MODES = {
-  PRODUCER: {
-    required: ['send'],
-    optional: ['compression', 'key', 'threads', 'topic']
-  },
-  CONSUMER: {
-    required: [],
-    optional: ['subscription', 'topic', 'type']
-  },
-  READER: {
-    required: ['since'],
-    optional: ['topic']
-  }
-};
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// A date, optionally followed by a time with optional seconds, fraction and UTC offset
+const ISO_8601_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Parses a duration such as "500ms", "30s", "5m", "1h" or "2d", plain numbers being milliseconds
+ * @param {string} value - The duration to parse
+ * @returns {number} The duration in milliseconds, NaN if invalid
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/.exec(value);
+  if (!match) return NaN;
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Parses a timestamp given as an ISO 8601 date and time or as milliseconds since epoch
+ * Other date formats are rejected, even those Date.parse reads, so that a mistyped message ID or a negative number
+ * is not taken for an unexpected date.
+ * @param {string} value - The timestamp to parse
+ * @returns {number} The timestamp in milliseconds since epoch, NaN if invalid
+ */
+function parseTimestamp(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  return ISO_8601_PATTERN.test(value) ? Date.parse(value) : NaN;
+}
+
+/**
+ * Parses a position given as a message ID, an ISO 8601 date or milliseconds since epoch
+ * @param {string} value - The position to parse
+ * @returns {object|number} The message ID parts, or the timestamp in milliseconds since epoch
+ */
+function parsePosition(value) {
+  return parseMessageId(value) || parseTimestamp(value);
+}
 
 /**
  * ArgumentParser class for parsing and validating command-line arguments
+ * Arguments are a command followed by its positional arguments and options, given as --option value or
+ * --option=value. Everything after -- is positional, for values starting with a dash.
  * @class
  * @property {string[]} args - The command-line arguments
  * @property {boolean} isStressTest - Flag indicating stress test mode
- * @property {object} params - The parameter indices
- * @property {string} mode - The execution mode
+ * @property {string|null} command - The command name, null for the stress tool or without command
+ * @property {object} values - The values given for each parameter, options and positional arguments alike
+ * @property {Error|null} parseError - The error met while parsing, reported by validateArgs
+ * @property {string|null} mode - The execution mode, null without command
  * @exports ArgumentParser
 */
 export class ArgumentParser {
@@ -39,42 +71,135 @@ export class ArgumentParser {
   constructor(args, isStressTest = false) {
     this.args = args;
     this.isStressTest = isStressTest;
-    this.params = {
-      compression: Math.max(args.indexOf('--compression'), args.indexOf('-c')),
-      help: Math.max(args.indexOf('--help'), args.indexOf('-h')),
-      key: args.indexOf('--key'),
-      send: args.indexOf('--send'),
-      since: args.indexOf('--since'),
-      subscription: Math.max(args.indexOf('--sub'), args.indexOf('-s')),
-      threads: Math.max(args.indexOf('--threads'), args.indexOf('-t')),
-      topic: args.indexOf('--topic'),
-      type: args.indexOf('--type'),
-      version: Math.max(args.indexOf('--version'), args.indexOf('-v'))
-    };
+    this.command = null;
+    this.values = {};
+    this.parseError = null;
+
+    try {
+      this.parse();
+    } catch (err) {
+      this.parseError = err;
+    }
 
     this.mode = this.determineMode();
   }
 
   /**
-   * Determines the execution mode based on provided parameters
-   * @returns {string} The determined mode
+   * Returns the definition of the command being run
+   * @returns {object} The command definition, with no option but the common ones without command
+   */
+  getDefinition() {
+    if (this.isStressTest) return STRESS_COMMAND;
+    return COMMANDS[this.command] || { positionals: [], sections: [] };
+  }
+
+  /**
+   * Splits the arguments into the command, its options and its positional arguments
+   * Repeatable options collect every value, other options may only be given once.
+   */
+  parse() {
+    let args = this.args;
+    if (!this.isStressTest && args.length > 0 && !args[0].startsWith('-')) {
+      if (!Object.hasOwn(COMMANDS, args[0])) {
+        throw new Error(`Unknown command: ${args[0]}\nValid commands: ${Object.keys(COMMANDS).join(', ')}`);
+      }
+      this.command = args[0];
+      args = args.slice(1);
+    }
+
+    const definition = this.getDefinition();
+    const allowedParams = getCommandOptions(definition);
+    const positionals = [];
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+      if (arg === '--') {
+        positionals.push(...args.slice(index + 1));
+        break;
+      }
+      if (!arg.startsWith('-') || arg === '-') {
+        positionals.push(arg);
+        continue;
+      }
+
+      const separator = arg.startsWith('--') ? arg.indexOf('=') : -1;
+      const flag = separator === -1 ? arg : arg.slice(0, separator);
+      const param = allowedParams.find((name) => OPTIONS[name].flag === flag || OPTIONS[name].alias === flag);
+      if (!param) throw this.getOptionError(flag);
+
+      const option = OPTIONS[param];
+      if (Object.hasOwn(this.values, param) && !option.repeatable) {
+        throw new Error(`Option ${flag} cannot be given more than once`);
+      }
+
+      let value = null;
+      if (option.value) {
+        // The next argument is the value even if it starts with a dash, such as a negative number
+        value = separator === -1 ? args[++index] : arg.slice(separator + 1);
+        if (value === undefined) throw new Error(`Missing value for option ${flag}`);
+      } else if (separator !== -1) {
+        throw new Error(`Option ${flag} does not take a value`);
+      }
+
+      this.values[param] = [...(this.values[param] || []), value];
+    }
+
+    if (positionals.length > definition.positionals.length) {
+      const unexpected = positionals[definition.positionals.length];
+      let hint = '';
+      if (this.command) {
+        hint = `\nUsage: ${formatUsage(this.command)}`;
+      } else if (!this.isStressTest) {
+        hint = '\nRun "npx pulsar-companion --help" for the list of commands';
+      }
+      throw new Error(`Unexpected argument: ${unexpected}${hint}`);
+    }
+    positionals.forEach((value, index) => {
+      this.values[definition.positionals[index].name] = [value];
+    });
+  }
+
+  /**
+   * Returns the error for an option the command does not accept
+   * @param {string} flag - The option as given
+   * @returns {Error} The error
+   */
+  getOptionError(flag) {
+    const isKnown = Object.values(OPTIONS).some((option) => option.flag === flag || option.alias === flag);
+    if (!isKnown) {
+      const hint = this.getDefinition().positionals.length > 0 ? '\nPut -- before arguments starting with a dash' : '';
+      return new Error(`Unknown option: ${flag}${hint}`);
+    }
+    if (this.isStressTest) return new Error(`Option ${flag} cannot be used with the stress tool`);
+    if (!this.command) return new Error(`Option ${flag} requires a command\nRun "npx pulsar-companion --help" for the list of commands`);
+    return new Error(`Option ${flag} cannot be used with the ${this.command} command\nRun "npx pulsar-companion help ${this.command}" for its options`);
+  }
+
+  /**
+   * Determines the execution mode from the command
+   * @returns {string|null} The determined mode, null without command
    */
   determineMode() {
-    if (this.hasParam('send')) return 'PRODUCER';
-    if (this.hasParam('since')) return 'READER';
-    return 'CONSUMER';
+    if (this.isStressTest) return 'STRESS';
+    if (!this.command) return null;
+    if (this.command === 'produce' && this.hasParam('file')) return 'BULK_PRODUCER';
+    return COMMANDS[this.command].mode;
   }
 
   /**
-   * Displays help message and exits
+   * Displays the help of a command, or the list of commands
+   * @param {string|null} [command=null] - The command to describe
    */
-  showHelp() {
-    console.log(this.isStressTest ? CONFIG.help.stress : CONFIG.help.main);
-    process.exit(0);
+  showHelp(command = null) {
+    if (this.isStressTest) {
+      console.log(formatStressHelp());
+    } else {
+      console.log(command ? formatCommandHelp(command) : formatMainHelp());
+    }
   }
 
   /**
-   * Displays version information and exits
+   * Displays version information
    * @returns {Promise<void>}
    */
   async showVersion() {
@@ -86,17 +211,24 @@ export class ArgumentParser {
     } catch (err) {
       console.log(`Error while getting version: ${err}`);
     }
-    process.exit(0);
   }
 
   /**
    * Retrieves the value associated with a parameter
    * @param {string} param - The parameter name
-   * @returns {string|null} The value or null if not present
+   * @returns {string|null} The first value, or null if not present
    */
   getValue(param) {
-    // If the parameter is not present, return null, otherwise return the value after the parameter
-    return this.params[param] !== -1 ? this.args[this.params[param] + 1]?.trim() : null;
+    return this.values[param]?.[0]?.trim() ?? null;
+  }
+
+  /**
+   * Retrieves all values of a repeatable parameter
+   * @param {string} param - The parameter name
+   * @returns {string[]} The values, in order
+   */
+  getValues(param) {
+    return (this.values[param] || []).map((value) => value?.trim());
   }
 
   /**
@@ -105,40 +237,61 @@ export class ArgumentParser {
    * @returns {boolean} True if present, false otherwise
    */
   hasParam(param) {
-    // If the parameter is present, return true, otherwise return false
-    return this.params[param] !== -1;
+    return Object.hasOwn(this.values, param);
   }
 
   /**
    * Validates the provided command-line arguments
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} False once help or version information is displayed, as there is nothing left to run
    */
   async validateArgs() {
-    if (this.hasParam('help')) this.showHelp();
-    if (this.hasParam('version')) await this.showVersion();
-
-    const mode = MODES[this.mode];
-
-    for (const param of mode.required) {
-      if (!this.hasParam(param)) {
-        throw new Error(`Missing required parameter --${param} for ${this.mode} mode`);
-      }
+    if (this.hasParam('help')) {
+      this.showHelp(this.command);
+      return false;
     }
+    if (this.hasParam('version')) {
+      await this.showVersion();
+      return false;
+    }
+    if (this.parseError) throw this.parseError;
 
-    const allowedParams = [...mode.required, ...mode.optional, 'help', 'version'];
-    for (const [param, index] of Object.entries(this.params)) {
-      if (index !== -1 && !allowedParams.includes(param)) {
-        throw new Error(`Parameter --${param} cannot be used in ${this.mode} mode`);
+    for (const { name, required } of this.getDefinition().positionals) {
+      if (required && !this.hasParam(name)) {
+        throw new Error(`Missing argument ${OPTIONS[name].value}\nUsage: ${formatUsage(this.command)}`);
       }
     }
+    this.validateChoices();
 
-    Object.entries(this.params).forEach(([param, index]) => {
-      if (index !== -1 && !this.args[index + 1] && !['help', 'version'].includes(param)) {
-        throw new Error(`Missing value for parameter --${param}`);
-      }
-    });
+    if (this.mode === 'HELP' || !this.mode) {
+      this.showHelp(this.getValue('helpCommand'));
+      return false;
+    }
 
     await this.validateSpecificArgs();
+    return true;
+  }
+
+  /**
+   * Validates the values of the options and arguments limited to a list of choices
+   */
+  validateChoices() {
+    const positionals = this.getDefinition().positionals;
+
+    for (const param of Object.keys(this.values)) {
+      const option = OPTIONS[param];
+      const choices = positionals.find(({ name }) => name === param)?.choices || option.choices;
+      if (!choices) continue;
+
+      for (const value of this.getValues(param)) {
+        const isValid = option.ignoreCase
+          ? choices.some((choice) => choice.toLowerCase() === value.toLowerCase())
+          : choices.includes(value);
+        if (!isValid) {
+          const label = option.flag || `${this.command} ${option.value}`;
+          throw new Error(`Invalid value for ${label}: ${value}\nValid values: ${choices.join(', ')}`);
+        }
+      }
+    }
   }
 
   /**
@@ -146,50 +299,398 @@ export class ArgumentParser {
    * @returns {Promise<void>}
    */
   async validateSpecificArgs() {
+    const verbosityParams = ['quiet', 'verbose', 'logLevel'].filter((param) => this.hasParam(param));
+    if (verbosityParams.length > 1) {
+      throw new Error(`Parameters ${verbosityParams.map((param) => OPTIONS[param].flag).join(' and ')} cannot be used together`);
+    }
+
     const threads = this.getThreads();
     if (threads && (isNaN(threads) || threads < 1)) {
       throw new Error('Number of threads must be a positive integer');
     }
 
-    const compression = this.getCompression();
-    if (compression && !CONFIG.validCompressionTypes.includes(compression.toUpperCase())) {
-      throw new Error(`Invalid compression type: ${compression}\nValid types: ${CONFIG.validCompressionTypes.join(', ')}`);
+    if (this.mode === 'PRODUCER' && !this.hasParam('send')) {
+      throw new Error(`Missing message, or --file\nUsage: ${formatUsage('produce')}`);
+    }
+    if (this.mode === 'BULK_PRODUCER' && this.hasParam('send')) {
+      throw new Error('A message cannot be given with --file, which sends its records');
+    }
+
+    for (const [param, flag] of [['property', '--property'], ['filterProperty', '--filter-property']]) {
+      for (const property of this.getValues(param)) {
+        if (!property || property.indexOf('=') < 1) {
+          throw new Error(`Invalid value for ${flag}: ${property}\nExpected format: key=value`);
+        }
+      }
+    }
+
+    if (this.getValues('filterJson').some((expression) => !expression)) {
+      throw new Error('Missing value for parameter --filter-json');
+    }
+    // Compiling the filter checks regular expressions and JSON paths
+    new MessageFilter(this.getFilters());
+
+    const eventTime = this.getValue('eventTime');
+    if (eventTime && isNaN(parseTimestamp(eventTime))) {
+      throw new Error('Invalid value for --event-time\nValid values: ISO 8601 timestamp or milliseconds since epoch');
+    }
+
+    if (this.hasParam('deliverAfter') && this.hasParam('deliverAt')) {
+      throw new Error('Parameters --deliver-after and --deliver-at cannot be used together');
+    }
+
+    const deliverAfter = this.getValue('deliverAfter');
+    if (deliverAfter && isNaN(parseDuration(deliverAfter))) {
+      throw new Error('Invalid value for --deliver-after\nValid values: duration such as 500ms, 30s, 5m, 1h');
+    }
+
+    const deliverAt = this.getValue('deliverAt');
+    if (deliverAt && isNaN(parseTimestamp(deliverAt))) {
+      throw new Error('Invalid value for --deliver-at\nValid values: ISO 8601 timestamp or milliseconds since epoch');
+    }
+
+    if (this.mode === 'ADMIN') {
+      this.validateAdminArgs();
     }
 
-    const readPosition = this.getValue('topic');
-    if (readPosition && !CONFIG.validReadPositions.includes(readPosition)) {
-      throw new Error(`Invalid read position: ${readPosition}\nValid positions: ${CONFIG.validReadPositions.join(', ')}`);
+    if (this.mode === 'CONSUMER') {
+      this.validateAckArgs();
+    }
+
+    const positiveIntegers = [
+      ['maxMessages', '--max-messages'], ['expect', '--expect'], ['count', '--count'], ['maxRedeliveries', '--max-redeliveries'],
+      ['concurrency', '--concurrency'], ['producers', '--producers'], ['rate', '--rate'], ['keyCount', '--key-count']
+    ];
+    for (const [param, flag] of positiveIntegers) {
+      const count = this.getValue(param);
+      if (count && !(/^\d+$/.test(count) && parseInt(count) > 0)) {
+        throw new Error(`Value of ${flag} must be a positive integer`);
+      }
+    }
+
+    const metricsPort = this.getValue('metricsPort');
+    const isValidPort = /^\d+$/.test(metricsPort || '') && parseInt(metricsPort) >= 1 && parseInt(metricsPort) <= 65535;
+    if (this.hasParam('metricsPort') && !isValidPort) {
+      throw new Error('Value of --metrics-port must be a port number between 1 and 65535');
+    }
+
+    const until = this.getValue('until');
+    if (until && isNaN(parseTimestamp(until))) {
+      throw new Error('Invalid value for --until\nValid values: ISO 8601 timestamp or milliseconds since epoch');
+    }
+
+    const delay = this.getValue('delay');
+    if (delay && !/^\d+$/.test(delay)) {
+      throw new Error('Value of --delay must be a number of milliseconds');
+    }
+
+    const duration = this.getValue('duration');
+    if (duration && !(parseDuration(duration) > 0)) {
+      throw new Error('Invalid value for --duration\nValid values: duration such as 30s, 5m, 1h');
+    }
+    if (duration && this.hasParam('count')) {
+      throw new Error('Parameters --count and --duration cannot be used together');
+    }
+
+    if (this.isStressTest) {
+      this.validateStressArgs();
+    }
+
+    const idleTimeout = this.getValue('idleTimeout');
+    if (idleTimeout && !(parseDuration(idleTimeout) > 0)) {
+      throw new Error('Invalid value for --idle-timeout\nValid values: duration such as 500ms, 30s, 5m, 1h');
+    }
+
+    if (this.hasParam('expect') && !this.hasParam('maxMessages') && !until && !idleTimeout && !this.hasParam('untilEnd')) {
+      throw new Error('Parameter --expect requires a bound: --max-messages, --until, --idle-timeout or --until-end');
+    }
+
+    if (this.hasParam('schemaFile') && !this.hasParam('schema')) {
+      throw new Error('Parameter --schema-file requires --schema');
+    }
+
+    const from = this.getValue('from');
+    if (from && from !== 'earliest' && !parseMessageId(from) && isNaN(parseTimestamp(from))) {
+      throw new Error('Invalid value for --from\nValid values: earliest, ISO 8601 timestamp, milliseconds since epoch or message ID (ledger:entry[:partition[:batch]])');
+    }
+
+    const to = this.getValue('to');
+    if (to && !parseMessageId(to) && isNaN(parseTimestamp(to))) {
+      throw new Error('Invalid value for --to\nValid values: ISO 8601 timestamp, milliseconds since epoch or message ID (ledger:entry[:partition[:batch]])');
+    }
+
+    const speed = this.getValue('speed');
+    if (speed && !(/^\d+(\.\d+)?$/.test(speed) && parseFloat(speed) > 0)) {
+      throw new Error('Value of --speed must be a positive number');
+    }
+    if (speed && !this.hasParam('replay')) {
+      throw new Error('Parameter --speed requires --replay');
     }
 
     const since = this.getValue('since');
     if (since) {
-      if (!['earliest', 'latest'].includes(since.toLowerCase())) {
-        const timestamp = Date.parse(since);
+      if (!['earliest', 'latest'].includes(since.toLowerCase()) && !parseMessageId(since)) {
+        const timestamp = parseTimestamp(since);
         if (isNaN(timestamp)) {
           throw new Error(
             'Invalid value for --since\n' +
-            'Valid values: earliest, latest, or ISO 8601 timestamp (e.g., "2024-01-20T10:00:00Z")'
+            'Valid values: earliest, latest, ISO 8601 timestamp (e.g., "2024-01-20T10:00:00Z"), milliseconds since epoch,\n' +
+            'or message ID ledger:entry[:partition[:batch]]'
           );
         }
       }
     }
+    if (this.hasParam('inclusive') && !parseMessageId(since || '')) {
+      throw new Error('Parameter --inclusive requires --since with a message ID');
+    }
 
-    const requestedType = this.getValue('type');
-    if (requestedType && !CONFIG.validTypes.includes(requestedType)) {
-      throw new Error(`Invalid subscription type: ${requestedType}\nValid types: ${CONFIG.validTypes.join(', ')}`);
+    if (this.hasParam('topic') && this.getTopics().length === 0) {
+      throw new Error('Missing value for option --topic');
+    }
+    if (this.getTopics().length > 1 && this.mode !== 'CONSUMER') {
+      throw new Error('Several topics can only be consumed with a subscription, by the consume command');
+    }
+    this.validateTopicNames();
+
+    const topicPattern = this.getValue('topicPattern');
+    if (topicPattern) {
+      if (this.hasParam('topic')) {
+        throw new Error('Parameters --topic and --topic-pattern cannot be used together');
+      }
+      try {
+        new RegExp(topicPattern);
+      } catch (err) {
+        throw new Error(`Invalid regular expression for --topic-pattern: ${err.message}`);
+      }
+    }
+
+    const mirror = this.getValue('mirror');
+    if (mirror && !this.hasParam('mirrorProfile') && mirror === (this.getValue('topic') || CONFIG.defaultTopic)) {
+      throw new Error('The mirror destination cannot be the source topic, unless --mirror-profile sets another connection');
     }
   }
 
+  /**
+   * Validates the forms of the topic names, and the --non-persistent and --partition options applied to them
+   */
+  validateTopicNames() {
+    // The options apply to the source topics, or to the topic of an admin command
+    const adminTopic = this.getAdminCommand()?.topic;
+    const sourceTopics = adminTopic ? [adminTopic] : this.getTopics();
+
+    for (const topic of [...sourceTopics, this.getValue('mirror')].filter((topic) => topic)) {
+      if (!isValidTopicName(topic)) {
+        throw new Error(
+          `Invalid topic name: ${topic}\n` +
+          'Valid forms: topic, tenant/namespace/topic, persistent://tenant/namespace/topic or non-persistent://tenant/namespace/topic'
+        );
+      }
+    }
+
+    if (this.hasParam('nonPersistent')) {
+      const persistentTopic = sourceTopics.find((topic) => topic.startsWith('persistent://'));
+      if (persistentTopic) {
+        throw new Error(`Parameter --non-persistent cannot be used with the persistent topic ${persistentTopic}`);
+      }
+    }
+
+    const partition = this.getValue('partition');
+    if (this.hasParam('partition')) {
+      if (!/^\d+$/.test(partition || '')) {
+        throw new Error('Value of --partition must be a non-negative integer');
+      }
+      if (this.isMultiTopic()) {
+        throw new Error('Parameter --partition requires a single topic');
+      }
+      const partitionTopic = sourceTopics.find((topic) => isPartitionName(topic));
+      if (partitionTopic) {
+        throw new Error(`Parameter --partition cannot be used with ${partitionTopic}, which already names a partition`);
+      }
+    }
+  }
+
+  /**
+   * Validates the acknowledgment, redelivery and dead-letter options of the consumer
+   */
+  validateAckArgs() {
+    const ackMode = this.getValue('ackMode');
+
+    const nackDelay = this.getValue('nackDelay');
+    if (nackDelay && !(parseDuration(nackDelay) > 0)) {
+      throw new Error('Invalid value for --nack-delay\nValid values: duration such as 500ms, 30s, 5m, 1h');
+    }
+    if (nackDelay && ackMode !== 'nack') {
+      throw new Error('Parameter --nack-delay requires --ack-mode nack');
+    }
+
+    const type = this.getValue('type') || CONFIG.defaultType;
+    const isShared = ['Shared', 'KeyShared'].includes(type);
+
+    if (this.hasParam('ackCumulative')) {
+      if (!['Exclusive', 'Failover'].includes(type)) {
+        throw new Error(`Parameter --ack-cumulative cannot be used with ${type} subscriptions, only Exclusive and Failover`);
+      }
+      if (ackMode && ackMode !== 'auto') {
+        throw new Error('Parameter --ack-cumulative requires --ack-mode auto');
+      }
+    }
+
+    if (this.hasParam('maxRedeliveries') && !isShared) {
+      throw new Error('Parameter --max-redeliveries requires a Shared or KeyShared subscription (--type)');
+    }
+    if (this.hasParam('dlqTopic') && !this.hasParam('maxRedeliveries')) {
+      throw new Error('Parameter --dlq-topic requires --max-redeliveries');
+    }
+    if (this.hasParam('maxRedeliveries') && !this.hasParam('dlqTopic') && this.isMultiTopic()) {
+      throw new Error('Parameter --dlq-topic is required with several topics or a topic pattern');
+    }
+
+    if (this.hasParam('retryTopic')) {
+      if (ackMode !== 'nack') {
+        throw new Error('Parameter --retry-topic requires --ack-mode nack');
+      }
+      if (!isShared) {
+        throw new Error('Parameter --retry-topic requires a Shared or KeyShared subscription (--type), for delayed delivery');
+      }
+      if (this.hasParam('topicPattern')) {
+        throw new Error('Parameters --retry-topic and --topic-pattern cannot be used together');
+      }
+    }
+  }
+
+  /**
+   * Validates the admin command, its topic and its options
+   */
+  validateAdminArgs() {
+    const { command, action, topic } = this.getAdminCommand();
+
+    if ((command === 'subscriptions' || (command === 'topics' && action !== 'list')) && !topic) {
+      throw new Error(`Missing topic name: ${command} ${action} <topic>`);
+    }
+
+    if (command === 'subscriptions' && action !== 'list' && !this.hasParam('subscription')) {
+      throw new Error(`Parameter --sub is required by subscriptions ${action}`);
+    }
+    if (action === 'reset' && !this.hasParam('to')) {
+      throw new Error('Parameter --to is required by subscriptions reset');
+    }
+    if (action === 'skip' && !this.hasParam('count')) {
+      throw new Error('Parameter --count is required by subscriptions skip');
+    }
+
+    const partitions = this.getValue('partitions');
+    if (partitions && !/^\d+$/.test(partitions)) {
+      throw new Error('Value of --partitions must be a non-negative integer');
+    }
+    if (this.hasParam('partitions') && action !== 'create') {
+      throw new Error('Parameter --partitions only applies to topics create');
+    }
+    if (this.hasParam('subscription') && action === 'list') {
+      throw new Error('Parameter --sub only applies to subscriptions commands on a subscription');
+    }
+    if (this.hasParam('to') && action !== 'reset') {
+      throw new Error('Parameter --to only applies to subscriptions reset');
+    }
+    if (this.hasParam('count') && action !== 'skip') {
+      throw new Error('Parameter --count only applies to subscriptions skip');
+    }
+  }
+
+  /**
+   * Validates the combinations of stress tool parameters
+   */
+  validateStressArgs() {
+    const findMisplaced = (params) => params.find((param) => this.hasParam(param));
+    const flagOf = (param) => OPTIONS[param].flag;
+
+    if (this.hasParam('benchmark') && this.hasParam('consume')) {
+      throw new Error('Parameters --benchmark and --consume cannot be used together');
+    }
+
+    const producerParam = findMisplaced(['concurrency', 'producers', 'rate']);
+    if (producerParam && !this.hasParam('benchmark')) {
+      throw new Error(`Parameter ${flagOf(producerParam)} requires --benchmark`);
+    }
+
+    const consumerParam = findMisplaced(['subscription', 'type']);
+    if (consumerParam && !this.hasParam('consume')) {
+      throw new Error(`Parameter ${flagOf(consumerParam)} requires --consume`);
+    }
+
+    const reportParam = findMisplaced(['duration', 'json']);
+    if (reportParam && !this.hasParam('benchmark') && !this.hasParam('consume')) {
+      throw new Error(`Parameter ${flagOf(reportParam)} requires --benchmark or --consume`);
+    }
+
+    const payloadParams = ['payload', 'payloadFile', 'size'].filter((param) => this.hasParam(param));
+    if (payloadParams.length > 1) {
+      throw new Error(`Parameters ${payloadParams.map(flagOf).join(' and ')} cannot be used together`);
+    }
+
+    const sendParam = findMisplaced([...payloadParams, 'keys', 'keyCount', 'zipfExponent']);
+    if (sendParam && this.hasParam('consume')) {
+      throw new Error(`Parameter ${flagOf(sendParam)} does not apply to --consume`);
+    }
+
+    const size = this.getValue('size');
+    if (this.hasParam('size') && !parsePayloadSize(size || '')) {
+      throw new Error('Invalid value for --size\nValid values: bytes such as 1024, a range such as 512-4096, or mean~deviation such as 1024~256');
+    }
+
+    const template = this.getValue('payload');
+    if (this.hasParam('payload')) {
+      if (!template) {
+        throw new Error('Missing value for parameter --payload');
+      }
+      // Compiling the template checks its placeholders
+      new PayloadGenerator({ template });
+    }
+
+    if (this.hasParam('zipfExponent')) {
+      if (this.getValue('keys') !== 'zipf') {
+        throw new Error('Parameter --zipf-exponent requires --keys zipf');
+      }
+      if (!(parseFloat(this.getValue('zipfExponent')) > 0)) {
+        throw new Error('Value of --zipf-exponent must be a positive number');
+      }
+    }
+    if (this.hasParam('keyCount') && this.getValue('keys') === 'none') {
+      throw new Error('Parameter --key-count cannot be used with --keys none');
+    }
+
+    if (this.hasParam('metricsPort') && this.hasParam('consume')) {
+      throw new Error('Parameter --metrics-port does not apply to --consume, which reports its own latencies');
+    }
+
+    const sequentialParam = findMisplaced(['delay']);
+    if (sequentialParam && (this.hasParam('benchmark') || this.hasParam('consume'))) {
+      throw new Error('Parameter --delay only applies to sequential sends, use --rate with --benchmark');
+    }
+  }
+
+  /**
+   * Returns the level and format of the logs
+   * --quiet only logs errors and --verbose logs debug information, unless --log-level sets the level. Invalid values,
+   * reported by validateArgs, fall back to the defaults so that the error itself can be logged.
+   * @returns {{level: string, format: string}} The logger options
+   */
+  getLogOptions() {
+    const { defaultFormat, defaultLevel, validFormats, validLevels } = CONFIG.logging;
+    const level = this.getValue('logLevel');
+    const format = this.getValue('logFormat');
+    const implicitLevel = this.hasParam('quiet') ? 'error' : this.hasParam('verbose') ? 'debug' : defaultLevel;
+
+    return {
+      level: validLevels.includes(level) ? level : implicitLevel,
+      format: validFormats.includes(format) ? format : defaultFormat
+    };
+  }
+
   /**
    * Returns the subscription type
    * @returns {string} The subscription type
    */
   getSubscriptionType() {
-    if (this.hasParam('key')) {
-      console.log('Key specified, automatically switching to KeyShared mode');
-      return 'KeyShared';
-    }
-
     const requestedType = this.getValue('type');
     if (requestedType && !CONFIG.validTypes.includes(requestedType)) {
       throw new Error(`Invalid subscription type: ${requestedType}\nValid types: ${CONFIG.validTypes.join(', ')}`);
@@ -198,6 +699,95 @@ export class ArgumentParser {
     return requestedType || CONFIG.defaultType;
   }
 
+  /**
+   * Returns the topics given with --topic, repeated or comma-separated
+   * @returns {string[]} The topic names, empty without --topic
+   */
+  getTopics() {
+    return this.getValues('topic')
+      .flatMap((value) => (value || '').split(','))
+      .map((topic) => topic.trim())
+      .filter((topic) => topic);
+  }
+
+  /**
+   * Returns how the topic names given with --topic are resolved
+   * @returns {{nonPersistent: boolean, partition: number|null}} The topic options
+   */
+  getTopicOptions() {
+    return {
+      nonPersistent: this.hasParam('nonPersistent'),
+      partition: this.hasParam('partition') ? parseInt(this.getValue('partition')) : null
+    };
+  }
+
+  /**
+   * Returns the topic given with --topic and how it is resolved, for commands working on a single topic
+   * @returns {{topic: string, nonPersistent: boolean, partition: number|null}} The topic and its options
+   */
+  getTopicSelection() {
+    return { topic: this.getValue('topic') || CONFIG.defaultTopic, ...this.getTopicOptions() };
+  }
+
+  /**
+   * Returns the schema given with --schema and --schema-file
+   * @returns {{schema: string|null, schemaFile: string|null}} The schema type and definition file
+   */
+  getSchemaOptions() {
+    return { schema: this.getValue('schema'), schemaFile: this.getValue('schemaFile') };
+  }
+
+  /**
+   * Returns the options of the producer, as accepted by PulsarManager.createProducer
+   * @returns {object} The producer options
+   */
+  getProducerOptions() {
+    return { ...this.getTopicSelection(), compression: this.getCompression(), ...this.getSchemaOptions() };
+  }
+
+  /**
+   * Returns the options of the consumer, as accepted by PulsarManager.createConsumer
+   * @returns {object} The consumer options
+   */
+  getConsumerOptions() {
+    return {
+      topics: this.getTopics(),
+      topicPattern: this.getValue('topicPattern'),
+      ...this.getTopicOptions(),
+      subscription: this.getSubscriptionName(),
+      subscriptionType: this.getSubscriptionType(),
+      initialPosition: this.getInitialPosition(),
+      ...this.getAckOptions(),
+      filters: this.getFilters(),
+      bounds: this.getBounds(),
+      ...this.getSchemaOptions()
+    };
+  }
+
+  /**
+   * Returns the options of the reader, as accepted by PulsarManager.createReader
+   * @returns {object} The reader options
+   */
+  getReaderOptions() {
+    return {
+      ...this.getTopicSelection(),
+      since: this.getSinceValue(),
+      inclusive: this.hasParam('inclusive'),
+      checkpoint: this.getValue('checkpoint'),
+      filters: this.getFilters(),
+      bounds: this.getBounds(),
+      ...this.getSchemaOptions()
+    };
+  }
+
+  /**
+   * Checks whether messages may come from several topics
+   * @returns {boolean} True with several topics or a topic pattern
+   */
+  isMultiTopic() {
+    return this.getTopics().length > 1 || this.hasParam('topicPattern');
+  }
+
   /**
    * Returns the number of threads
    * @returns {number} The number of IO threads
@@ -206,6 +796,14 @@ export class ArgumentParser {
     return parseInt(this.getValue('threads')) || CONFIG.defaultThreads;
   }
 
+  /**
+   * Returns the port of the metrics endpoint
+   * @returns {number|null} The port, null without --metrics-port
+   */
+  getMetricsPort() {
+    return this.hasParam('metricsPort') ? parseInt(this.getValue('metricsPort')) : null;
+  }
+
   /**
    * Returns the compression type in uppercase
    * @returns {string} The compression type
@@ -215,11 +813,258 @@ export class ArgumentParser {
   }
 
   /**
-   * Returns the read position
-   * @returns {string} The read position
+   * Returns the message properties given with --property
+   * @returns {object|undefined} The properties, undefined if none
+   */
+  getProperties() {
+    return this.getKeyValues('property');
+  }
+
+  /**
+   * Returns the key=value pairs of a repeatable parameter as an object
+   * @param {string} param - The parameter name
+   * @returns {object|undefined} The values indexed by key, undefined if none
    */
-  getReadPosition() {
-    return this.getValue('topic') || CONFIG.defaultReadPosition;
+  getKeyValues(param) {
+    const pairs = this.getValues(param);
+    if (pairs.length === 0) return undefined;
+
+    return Object.fromEntries(pairs.map((pair) => {
+      const separator = pair.indexOf('=');
+      return [pair.slice(0, separator), pair.slice(separator + 1)];
+    }));
+  }
+
+  /**
+   * Returns the message filters of the consumer and reader
+   * @returns {{key: string|null, keyRegex: string|null, properties: object, payload: string|null, json: string[]}}
+   */
+  getFilters() {
+    return {
+      key: this.getValue('filterKey'),
+      keyRegex: this.getValue('filterKeyRegex'),
+      properties: this.getKeyValues('filterProperty') || {},
+      payload: this.getValue('filterPayload'),
+      json: this.getValues('filterJson')
+    };
+  }
+
+  /**
+   * Returns the acknowledgment options of the consumer, topic names being relative to the namespace
+   * @returns {{ackMode: string, cumulative: boolean, nackDelayMs: number, maxRedeliveries: number|null, deadLetterTopic: string|null, retryTopic: string|null}}
+   */
+  getAckOptions() {
+    const nackDelay = this.getValue('nackDelay');
+    const maxRedeliveries = this.getValue('maxRedeliveries');
+
+    return {
+      ackMode: this.getValue('ackMode') || CONFIG.consumer.defaultAckMode,
+      cumulative: this.hasParam('ackCumulative'),
+      nackDelayMs: nackDelay ? parseDuration(nackDelay) : CONFIG.consumer.defaultNackDelayMs,
+      maxRedeliveries: maxRedeliveries ? parseInt(maxRedeliveries) : null,
+      deadLetterTopic: this.getValue('dlqTopic'),
+      retryTopic: this.getValue('retryTopic')
+    };
+  }
+
+  /**
+   * Returns the send options (properties, event time and delayed delivery)
+   * @returns {object} The send options
+   */
+  getSendOptions() {
+    const eventTime = this.getValue('eventTime');
+    const deliverAfter = this.getValue('deliverAfter');
+    const deliverAt = this.getValue('deliverAt');
+
+    return {
+      properties: this.getProperties(),
+      eventTime: eventTime ? parseTimestamp(eventTime) : undefined,
+      deliverAfter: deliverAfter ? parseDuration(deliverAfter) : undefined,
+      deliverAt: deliverAt ? parseTimestamp(deliverAt) : undefined
+    };
+  }
+
+  /**
+   * Returns the bounds that stop message consumption, null where unset
+   * @returns {{maxMessages: number|null, until: number|null, idleTimeout: number|null, untilEnd: boolean, expect: number|null}}
+   */
+  getBounds() {
+    const maxMessages = this.getValue('maxMessages');
+    const until = this.getValue('until');
+    const idleTimeout = this.getValue('idleTimeout');
+    const expect = this.getValue('expect');
+
+    return {
+      maxMessages: maxMessages ? parseInt(maxMessages) : null,
+      until: until ? parseTimestamp(until) : null,
+      idleTimeout: idleTimeout ? parseDuration(idleTimeout) : null,
+      untilEnd: this.hasParam('untilEnd'),
+      expect: expect ? parseInt(expect) : null
+    };
+  }
+
+  /**
+   * Returns the options of the stress tool benchmark mode, as accepted by PulsarManager.runBenchmark
+   * @returns {{topic: string, nonPersistent: boolean, partition: number|null, compression: string, producers: number, concurrency: number, rate: number|null, count: number|null, durationMs: number|null, payload: object, keys: object}}
+   */
+  getBenchmarkOptions() {
+    const duration = this.getValue('duration');
+    const count = this.getValue('count');
+    const rate = this.getValue('rate');
+
+    return {
+      ...this.getTopicSelection(),
+      compression: this.getCompression(),
+      producers: parseInt(this.getValue('producers')) || CONFIG.stress.defaultProducers,
+      concurrency: parseInt(this.getValue('concurrency')) || CONFIG.stress.defaultConcurrency,
+      rate: rate ? parseInt(rate) : null,
+      count: duration ? null : parseInt(count) || CONFIG.stress.defaultBenchmarkCount,
+      durationMs: duration ? parseDuration(duration) : null,
+      payload: this.getPayloadOptions(),
+      keys: this.getKeyOptions()
+    };
+  }
+
+  /**
+   * Returns the payload source of the stress tool, as accepted by PayloadGenerator
+   * Without --payload, --payload-file or --size, sequential sends use the default template and benchmarks random
+   * payloads of the default size.
+   * @returns {{template: string|null, file: string|null, size: string|null}} The payload source
+   */
+  getPayloadOptions() {
+    const source = {
+      template: this.getValue('payload') || null,
+      file: this.getValue('payloadFile') || null,
+      size: this.getValue('size') || null
+    };
+    if (!source.template && !source.file && !source.size) {
+      if (this.hasParam('benchmark')) source.size = String(CONFIG.stress.defaultMessageSize);
+      else source.template = CONFIG.stress.defaultTemplate;
+    }
+    return source;
+  }
+
+  /**
+   * Returns the key strategy of the stress tool, as accepted by KeyGenerator
+   * @returns {{strategy: string, count: number, zipfExponent: number}} The key options
+   */
+  getKeyOptions() {
+    return {
+      strategy: this.getValue('keys') || CONFIG.stress.defaultKeyStrategy,
+      count: parseInt(this.getValue('keyCount')) || CONFIG.stress.keyCount,
+      zipfExponent: parseFloat(this.getValue('zipfExponent')) || CONFIG.stress.defaultZipfExponent
+    };
+  }
+
+  /**
+   * Returns the options of the stress tool consumer benchmark mode, as accepted by PulsarManager.runConsumerBenchmark
+   * @returns {{topic: string, nonPersistent: boolean, partition: number|null, subscription: string, subscriptionType: string, count: number|null, durationMs: number|null}}
+   */
+  getConsumerBenchmarkOptions() {
+    const duration = this.getValue('duration');
+    const count = this.getValue('count');
+
+    return {
+      ...this.getTopicSelection(),
+      subscription: this.getValue('subscription') || CONFIG.stress.subscriptionName,
+      subscriptionType: this.getValue('type') || CONFIG.defaultType,
+      count: count ? parseInt(count) : null,
+      durationMs: duration ? parseDuration(duration) : null
+    };
+  }
+
+  /**
+   * Returns the admin command, such as "topics create orders"
+   * @returns {{command: string, action: string, topic: string|null}|null} The command, null outside admin mode
+   */
+  getAdminCommand() {
+    if (this.mode !== 'ADMIN') return null;
+    return { command: this.command, action: this.getValue('action'), topic: this.getValue('adminTopic') };
+  }
+
+  /**
+   * Returns the options of the admin commands, as accepted by PulsarManager.runAdminCommand
+   * @returns {{partitions: number, tenant: string|null, subscription: string|null, to: number|object|null, count: number|null, output: string, nonPersistent: boolean, partition: number|null}}
+   */
+  getAdminOptions() {
+    const to = this.getValue('to');
+    const count = this.getValue('count');
+
+    return {
+      partitions: parseInt(this.getValue('partitions')) || 0,
+      tenant: this.getValue('tenant'),
+      subscription: this.getValue('subscription'),
+      to: to ? parsePosition(to) : null,
+      count: count ? parseInt(count) : null,
+      output: this.getValue('adminOutput') || CONFIG.admin.defaultOutput,
+      ...this.getTopicOptions()
+    };
+  }
+
+  /**
+   * Returns the options of the mirror mode, as accepted by PulsarManager.runMirror
+   * @returns {{topic: string, nonPersistent: boolean, partition: number|null, destinationTopic: string, destinationProfile: string|null, subscription: string, subscriptionType: string, initialPosition: string, compression: string, threads: number}}
+   */
+  getMirrorOptions() {
+    return {
+      ...this.getTopicSelection(),
+      destinationTopic: this.getValue('mirror'),
+      destinationProfile: this.getValue('mirrorProfile'),
+      subscription: this.getValue('subscription') || CONFIG.mirror.subscriptionName,
+      subscriptionType: this.getValue('type') || CONFIG.mirror.defaultType,
+      initialPosition: this.getInitialPosition(),
+      compression: this.getCompression(),
+      threads: this.getThreads()
+    };
+  }
+
+  /**
+   * Returns the bulk input format, or the archive format on export and import
+   * @returns {string} The format
+   */
+  getFormat() {
+    if (['EXPORT', 'IMPORT'].includes(this.mode)) return this.getValue('archiveFormat') || CONFIG.archive.defaultFormat;
+    return this.getValue('format') || CONFIG.bulk.defaultFormat;
+  }
+
+  /**
+   * Returns the range of the topic to export
+   * Message IDs are given as parts, which a numeric timestamp cannot be mistaken for as they need an entry ID.
+   * @returns {{from: string|number|object, to: number|object|null}} The start position and the end, null for the end of the topic
+   */
+  getExportRange() {
+    const from = this.getValue('from');
+    const to = this.getValue('to');
+
+    return {
+      from: !from || from === 'earliest' ? 'earliest' : parsePosition(from),
+      to: to ? parsePosition(to) : null
+    };
+  }
+
+  /**
+   * Returns the options of the export, as accepted by PulsarManager.exportTopic
+   * @returns {{topic: string, nonPersistent: boolean, partition: number|null, format: string, from: string|number|object, to: number|object|null, filters: object}}
+   */
+  getExportOptions() {
+    return { ...this.getTopicSelection(), format: this.getFormat(), ...this.getExportRange(), filters: this.getFilters() };
+  }
+
+  /**
+   * Returns the import replay speed
+   * @returns {number|null} The speed multiplier, null to send as fast as possible
+   */
+  getReplaySpeed() {
+    if (!this.hasParam('replay')) return null;
+    return parseFloat(this.getValue('speed')) || 1;
+  }
+
+  /**
+   * Returns the output format for received messages
+   * @returns {string} The output format
+   */
+  getOutputFormat() {
+    return this.getValue('output') || CONFIG.output.defaultFormat;
   }
 
   /**
@@ -231,13 +1076,22 @@ export class ArgumentParser {
   }
 
   /**
-   * Returns the since value
-   * @returns {string|number|null} The since value
+   * Returns the position where a new subscription starts, as expected by the Pulsar client
+   * @returns {string} Earliest or Latest
+   */
+  getInitialPosition() {
+    const position = this.getValue('initialPosition') || CONFIG.subscription.defaultInitialPosition;
+    return position === 'earliest' ? 'Earliest' : 'Latest';
+  }
+
+  /**
+   * Returns where the reader starts
+   * @returns {string|number|object} The since value: earliest (default), latest, a timestamp or message ID parts
    */
   getSinceValue() {
     const since = this.getValue('since');
-    if (!since) return null;
-    return ['earliest', 'latest'].includes(since.toLowerCase()) ?
-      since.toLowerCase() : new Date(since).getTime();
+    if (!since) return 'earliest';
+    if (['earliest', 'latest'].includes(since.toLowerCase())) return since.toLowerCase();
+    return parsePosition(since);
   }
 }
@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import { PulsarProducer } from './PulsarProducer.js';
+import { LatencyHistogram } from './LatencyHistogram.js';
+import { PayloadGenerator } from './PayloadGenerator.js';
+import { KeyGenerator } from './KeyGenerator.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns the current time with sub-millisecond precision
+ * @returns {number} The time, in milliseconds since epoch
+ */
+export function preciseNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Measures the producing throughput of a broker, with several producers and outstanding sends
+ * Each message carries its send time in a property, for end-to-end latency measurement by ConsumerBenchmark.
+ * Emits progress at each report interval, and sendError for the first failed send.
+ * @class
+ * @property {Pulsar.Client} client - The Pulsar client instance
+ * @property {object} config - The configuration object
+ * @property {object} options - The benchmark options
+ * @property {PulsarProducer[]} producers - The producers in use, whose send latencies make those of the report
+ * @property {PayloadGenerator} payloads - The generator of message payloads
+ * @property {KeyGenerator} keys - The generator of message keys
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @exports Benchmark
+ */
+export class Benchmark extends EventEmitter {
+  /**
+   * Creates an instance of Benchmark
+   * @param {Pulsar.Client} client - The Pulsar client instance
+   * @param {object} config - The configuration object
+   * @param {object} options - The benchmark options
+   * @param {string} options.topicName - The full topic name
+   * @param {string} options.compression - The compression type
+   * @param {number} options.producers - The number of producers
+   * @param {number} options.concurrency - The number of outstanding sends per producer
+   * @param {number|null} options.rate - The target rate in messages per second, null for unlimited
+   * @param {number|null} options.count - The number of messages to send, null for a duration-based run
+   * @param {number|null} options.durationMs - The run duration, null for a count-based run
+   * @param {object} [options.payload] - The payload source, as accepted by PayloadGenerator, random payloads of the default size if unset
+   * @param {object} [options.keys] - The key strategy, as accepted by KeyGenerator
+   */
+  constructor(client, config, options) {
+    super();
+    this.client = client;
+    this.config = config;
+    this.options = options;
+    this.producers = [];
+    this.payloads = new PayloadGenerator(options.payload || { size: config.stress.defaultMessageSize });
+    this.keys = new KeyGenerator(options.keys);
+    this.stopRequested = false;
+    this.sequence = 0;
+    this.sent = 0;
+    this.failed = 0;
+    this.bytes = 0;
+  }
+
+  /**
+   * Requests the benchmark to stop, outstanding sends are awaited
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Reserves the next message sequence number, waiting for its slot when a rate is set
+   * @param {number} startedAt - The run start time, in milliseconds since epoch
+   * @returns {Promise<number|null>} The sequence number, or null once the run is over
+   */
+  async nextSequence(startedAt) {
+    const { count, durationMs, rate } = this.options;
+    const isOver = () => this.stopRequested
+      || (count && this.sequence >= count)
+      || (durationMs && Date.now() - startedAt >= durationMs);
+
+    if (isOver()) return null;
+    const sequence = this.sequence++;
+
+    if (rate) {
+      const delay = startedAt + (sequence * 1000) / rate - Date.now();
+      if (delay > 0) await sleep(delay);
+      if (isOver()) return null;
+    }
+    return sequence;
+  }
+
+  /**
+   * Sends messages in a loop, one outstanding send at a time
+   * @param {PulsarProducer} producer - The producer to send with
+   * @param {number} startedAt - The run start time, in milliseconds since epoch
+   * @returns {Promise<void>}
+   */
+  async worker(producer, startedAt) {
+    let sequence;
+    while ((sequence = await this.nextSequence(startedAt)) !== null) {
+      const payload = this.payloads.next(sequence);
+      try {
+        await producer.send({
+          payload,
+          key: this.keys.next(sequence),
+          properties: { [this.config.stress.sendTimeProperty]: preciseNow().toFixed(3) }
+        });
+        this.sent++;
+        this.bytes += Buffer.byteLength(payload);
+      } catch (err) {
+        this.failed++;
+        if (this.failed === 1) this.emit('sendError', { error: err });
+      }
+    }
+  }
+
+  /**
+   * Emits the throughput of the last interval
+   * @param {number} startedAt - The run start time, in milliseconds since epoch
+   * @param {number} previousSent - The number of messages sent at the previous interval
+   */
+  reportProgress(startedAt, previousSent) {
+    const rate = (this.sent - previousSent) / (this.config.stress.reportIntervalMs / 1000);
+    this.emit('progress', { elapsedSeconds: Math.round((Date.now() - startedAt) / 1000), sent: this.sent, failed: this.failed, rate: Math.round(rate) });
+  }
+
+  /**
+   * Runs the benchmark
+   * @returns {Promise<object>} The benchmark report
+   */
+  async run() {
+    const { topicName, compression, producers, concurrency } = this.options;
+    await this.payloads.load();
+
+    // Producers created before a failure, whether of a later creation or of the run, are closed as well
+    try {
+      for (let i = 0; i < producers; i++) {
+        const producer = new PulsarProducer(this.client, this.config);
+        await producer.create(topicName, compression, null, { blockIfQueueFull: true });
+        this.producers.push(producer);
+      }
+
+      const startedAt = Date.now();
+      let previousSent = 0;
+      const progress = setInterval(() => {
+        this.reportProgress(startedAt, previousSent);
+        previousSent = this.sent;
+      }, this.config.stress.reportIntervalMs);
+
+      try {
+        await Promise.all(this.producers.flatMap((producer) =>
+          Array.from({ length: concurrency }, () => this.worker(producer, startedAt))
+        ));
+        await Promise.all(this.producers.map((producer) => producer.flush()));
+      } finally {
+        clearInterval(progress);
+      }
+
+      return this.getReport((Date.now() - startedAt) / 1000);
+    } finally {
+      await Promise.allSettled(this.producers.map((producer) => producer.close()));
+    }
+  }
+
+  /**
+   * Builds the benchmark report
+   * @param {number} elapsedSeconds - The run duration, in seconds
+   * @returns {object} The benchmark report
+   */
+  getReport(elapsedSeconds) {
+    const { topicName, producers, concurrency, rate } = this.options;
+    const round = (value) => Math.round(value * 100) / 100;
+    const latencies = new LatencyHistogram();
+    for (const producer of this.producers) latencies.merge(producer.sendLatencies);
+
+    return {
+      topic: topicName,
+      producers,
+      concurrency,
+      targetRate: rate,
+      // The average size, payloads of templates, files and size ranges varying from one message to another
+      messageSize: this.sent > 0 ? Math.round(this.bytes / this.sent) : 0,
+      keyStrategy: this.keys.strategy,
+      sent: this.sent,
+      failed: this.failed,
+      durationSeconds: round(elapsedSeconds),
+      throughput: {
+        messagesPerSecond: round(this.sent / elapsedSeconds),
+        megabytesPerSecond: round(this.bytes / elapsedSeconds / (1024 * 1024))
+      },
+      latencyMs: latencies.summary()
+    };
+  }
+}
@@ -0,0 +1,89 @@
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+
+/**
+ * Reads records to produce from a file or stdin, as plain lines or NDJSON
+ * @class
+ * @property {string} source - The file path, or '-' for stdin
+ * @property {string} format - The input format (lines or ndjson)
+ * @exports BulkReader
+ */
+export class BulkReader {
+  /**
+   * Creates an instance of BulkReader
+   * @param {string} source - The file path, or '-' for stdin
+   * @param {string} format - The input format (lines or ndjson)
+   */
+  constructor(source, format) {
+    this.source = source;
+    this.format = format;
+  }
+
+  /**
+   * Parses an NDJSON line into a record
+   * @param {string} line - The raw line
+   * @returns {object} The record with payload, key, properties and eventTime
+   */
+  parseRecord(line) {
+    const raw = JSON.parse(line);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Record must be a JSON object');
+    }
+    if (raw.payload === undefined || raw.payload === null) {
+      throw new Error('Missing payload');
+    }
+
+    const record = {
+      payload: typeof raw.payload === 'string' ? raw.payload : JSON.stringify(raw.payload)
+    };
+
+    if (raw.key !== undefined && raw.key !== null) {
+      record.key = String(raw.key);
+    }
+
+    if (raw.properties !== undefined) {
+      if (raw.properties === null || typeof raw.properties !== 'object' || Array.isArray(raw.properties)) {
+        throw new Error('properties must be a JSON object');
+      }
+      record.properties = Object.fromEntries(
+        Object.entries(raw.properties).map(([name, value]) => [name, String(value)])
+      );
+    }
+
+    if (raw.eventTime !== undefined) {
+      const eventTime = typeof raw.eventTime === 'number' ? raw.eventTime : Date.parse(raw.eventTime);
+      if (isNaN(eventTime)) {
+        throw new Error(`Invalid eventTime: ${raw.eventTime}`);
+      }
+      record.eventTime = eventTime;
+    }
+
+    return record;
+  }
+
+  /**
+   * Iterates over the records of the source, skipping blank lines
+   * Lines that cannot be parsed are yielded with an error instead of a record
+   * @returns {AsyncGenerator<{line: number, record?: object, error?: Error}>}
+   */
+  async *records() {
+    const input = this.source === '-' ? process.stdin : createReadStream(this.source, 'utf8');
+    const lines = createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      if (this.format === 'ndjson') {
+        try {
+          yield { line: lineNumber, record: this.parseRecord(line) };
+        } catch (err) {
+          yield { line: lineNumber, error: err };
+        }
+      } else {
+        yield { line: lineNumber, record: { payload: line } };
+      }
+    }
+  }
+}
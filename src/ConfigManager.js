@@ -1,66 +1,201 @@
 import { join } from 'path';
 import { homedir } from 'os';
-import { input, password } from '@inquirer/prompts';
+import { input, password, select } from '@inquirer/prompts';
 import { readFile, writeFile, mkdir } from 'fs/promises';
+import { CONFIG } from './config.js';
+import { isFullyQualified } from './topicName.js';
 
 /**
- * Manages the user configuration
+ * Manages the user configuration and its named connection profiles
  * @class
  * @property {string} configPath - The path to the configuration file
  * @property {string} configDir - The path to the configuration directory
+ * @property {string|null} profileName - The requested profile name, if any
+ * @property {boolean} useEnvironment - Flag indicating environment variables override the profile
+ * @property {boolean} canPrompt - Flag indicating the connection details may be prompted for without configuration file
+ * @property {object|null} userConfig - The resolved profile, once loaded
  * @exports ConfigManager
  */
 export class ConfigManager {
   /**
    * Creates an instance of ConfigManager
+   * @param {string|null} [profileName=null] - The profile to use, falls back to the environment then the default profile
+   * @param {boolean} [useEnvironment=true] - Whether environment variables override the profile, disabled for secondary connections
+   * @param {boolean} [canPrompt=false] - Whether the connection details are prompted for without configuration file
    */
-  constructor() {
+  constructor(profileName = null, useEnvironment = true, canPrompt = false) {
     const configDir = join(homedir(), '.config', 'pulsar-companion');
     this.configPath = join(configDir, 'config.json');
     this.configDir = configDir;
+    this.profileName = profileName;
+    this.useEnvironment = useEnvironment;
+    this.canPrompt = canPrompt;
+    this.userConfig = null;
   }
 
   /**
-   * Loads the user configuration from file
-   * @returns {Promise<object>} The configuration object
+   * Uses a connection given as is instead of the configuration file, environment variables still overriding it
+   * @param {object} profile - The connection: serviceUrl, namespace, and optionally auth and adminUrl
    */
-  async loadUserConfig() {
-    try {
-      const configContent = await readFile(this.configPath, 'utf8');
-      const config = JSON.parse(configContent);
+  setProfile(profile) {
+    this.userConfig = this.normalizeProfile(this.applyEnvOverrides(profile), this.profileName || CONFIG.profiles.defaultName);
+  }
 
-      if (!config.serviceUrl) {
-        throw new Error('Missing serviceUrl in config file');
-      }
-      if (!config.token) {
-        throw new Error('Missing token in config file');
-      }
-      if (!config.namespace) {
-        throw new Error('Missing namespace in config file');
-      }
+  /**
+   * Reads a profile field override from the environment
+   * @param {string} field - The profile field name
+   * @returns {string|undefined} The override value, if set
+   */
+  getEnvOverride(field) {
+    if (!this.useEnvironment) return undefined;
+    return process.env[CONFIG.profiles.envVars[field]] || undefined;
+  }
+
+  /**
+   * Returns the name of the profile to use
+   * @param {object} [fileConfig={}] - The configuration file content
+   * @returns {string} The profile name
+   */
+  getProfileName(fileConfig = {}) {
+    return this.profileName
+      || process.env[CONFIG.profiles.envVars.profile]
+      || fileConfig.defaultProfile
+      || CONFIG.profiles.defaultName;
+  }
+
+  /**
+   * Returns the profiles defined in a configuration file
+   * Files written before profiles existed hold a single connection at the top level, used as the default profile
+   * @param {object} fileConfig - The configuration file content
+   * @returns {object} The profiles, indexed by name
+   */
+  getProfiles(fileConfig) {
+    if (fileConfig.profiles) return fileConfig.profiles;
+
+    const { auth, namespace, serviceUrl, token } = fileConfig;
+    return { [CONFIG.profiles.defaultName]: { auth, namespace, serviceUrl, token } };
+  }
 
-      if (!config.namespace.endsWith('/')) {
-        config.namespace += '/';
+  /**
+   * Applies environment overrides on a profile
+   * @param {object} profile - The profile read from file
+   * @returns {object} A new profile with overridden fields
+   */
+  applyEnvOverrides(profile) {
+    const resolved = { ...profile };
+    for (const field of [...CONFIG.profiles.fields, ...CONFIG.profiles.optionalFields]) {
+      const override = this.getEnvOverride(field);
+      if (override) resolved[field] = override;
+    }
+
+    const token = this.getEnvOverride('token');
+    if (token) {
+      resolved.auth = { type: 'token', token };
+    }
+    return resolved;
+  }
+
+  /**
+   * Checks the authentication section of a profile
+   * A top-level token, as written before the auth section existed, is read as token authentication
+   * @param {object} profile - The profile to check
+   * @param {string} profileName - The profile name, used in error messages
+   * @returns {object} The authentication settings
+   */
+  normalizeAuth(profile, profileName) {
+    const auth = profile.auth
+      || (profile.token ? { type: 'token', token: profile.token } : { type: CONFIG.auth.defaultType });
+
+    const requiredFields = CONFIG.auth.requiredFields[auth.type];
+    if (!requiredFields) {
+      throw new Error(`Invalid auth type "${auth.type}" in profile "${profileName}"\nValid types: ${Object.keys(CONFIG.auth.requiredFields).join(', ')}`);
+    }
+
+    for (const field of requiredFields) {
+      if (!auth[field]) {
+        throw new Error(`Missing auth.${field} in profile "${profileName}" (required by ${auth.type} authentication)`);
       }
-      if (!config.namespace.startsWith('persistent://')) {
-        config.namespace = `persistent://${config.namespace}`;
+    }
+
+    if (auth.type === 'oauth2' && !auth.clientSecret && !auth.privateKey) {
+      throw new Error(`Missing auth.clientSecret or auth.privateKey in profile "${profileName}" (required by oauth2 authentication)`);
+    }
+
+    return auth;
+  }
+
+  /**
+   * Checks a profile and normalizes its namespace and authentication
+   * @param {object} profile - The profile to check
+   * @param {string} profileName - The profile name, used in error messages
+   * @returns {object} The normalized profile
+   */
+  normalizeProfile(profile, profileName) {
+    for (const field of CONFIG.profiles.fields) {
+      if (!profile[field]) {
+        throw new Error(`Missing ${field} in profile "${profileName}" (set it in config file or ${CONFIG.profiles.envVars[field]})`);
       }
+    }
+
+    const { token, ...normalized } = profile;
+    normalized.auth = this.normalizeAuth(profile, profileName);
+
+    if (!normalized.namespace.endsWith('/')) {
+      normalized.namespace += '/';
+    }
+    if (!isFullyQualified(normalized.namespace)) {
+      normalized.namespace = `persistent://${normalized.namespace}`;
+    }
+
+    return { ...normalized, profile: profileName };
+  }
 
-      return config;
+  /**
+   * Loads the user configuration from file, resolving the selected profile
+   * @returns {Promise<object>} The configuration object
+   */
+  async loadUserConfig() {
+    if (this.userConfig) return this.userConfig;
+
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(await readFile(this.configPath, 'utf8'));
     } catch (err) {
-      if (err.code === 'ENOENT') {
-        return await this.createUserConfig();
+      if (err.code !== 'ENOENT') throw err;
+
+      // Without a config file, the environment alone may describe a full connection
+      const profileName = this.getProfileName();
+      const envProfile = this.applyEnvOverrides({});
+      const isComplete = CONFIG.profiles.fields.every((field) => envProfile[field]);
+
+      if (isComplete) {
+        this.userConfig = this.normalizeProfile(envProfile, profileName);
+      } else if (this.canPrompt) {
+        this.userConfig = await this.createUserConfig(profileName);
+      } else {
+        const envVars = CONFIG.profiles.fields.map((field) => CONFIG.profiles.envVars[field]).join(' and ');
+        throw new Error(`No configuration file found at ${this.configPath}, and ${envVars} are not set`);
       }
-      throw err;
+      return this.userConfig;
+    }
+
+    const profileName = this.getProfileName(fileConfig);
+    const profiles = this.getProfiles(fileConfig);
+    if (!profiles[profileName]) {
+      throw new Error(`Profile "${profileName}" not found in ${this.configPath}\nAvailable profiles: ${Object.keys(profiles).join(', ')}`);
     }
+
+    this.userConfig = this.normalizeProfile(this.applyEnvOverrides(profiles[profileName]), profileName);
+    return this.userConfig;
   }
 
   /**
    * Prompts the user to create a configuration file
+   * @param {string} [profileName=CONFIG.profiles.defaultName] - The name of the profile to create
    * @returns {Promise<object>} The newly created configuration object
    */
-  async createUserConfig() {
-    console.log('No configuration file found. Please provide your Pulsar connection details:');
+  async createUserConfig(profileName = CONFIG.profiles.defaultName) {
+    console.error(`No configuration file found. Please provide your Pulsar connection details for profile "${profileName}":`);
 
     const serviceUrl = await input({
       message: 'Enter Pulsar service URL (e.g., pulsar+ssl://host:port):',
@@ -71,13 +206,7 @@ export class ConfigManager {
       }
     });
 
-    const token = await password({
-      message: 'Enter your authentication token:',
-      validate: (value) => {
-        if (!value) return 'Token cannot be empty';
-        return true;
-      }
-    });
+    const auth = await this.promptAuth();
 
     const namespace = await input({
       message: 'Enter your namespace (e.g., tenant/namespace):',
@@ -88,25 +217,73 @@ export class ConfigManager {
       }
     });
 
-    const config = { namespace, serviceUrl, token };
+    const profile = { auth, namespace, serviceUrl };
+    const fileConfig = { defaultProfile: profileName, profiles: { [profileName]: profile } };
 
     try {
       await mkdir(this.configDir, { recursive: true });
-      await writeFile(this.configPath, JSON.stringify(config, null, 2));
-      console.log(`Configuration saved to ${this.configPath}`);
+      await writeFile(this.configPath, JSON.stringify(fileConfig, null, 2));
+    } catch (err) {
+      throw new Error(`Unable to save configuration to ${this.configPath}: ${err.message}`);
+    }
+    console.error(`Configuration saved to ${this.configPath}`);
 
-      if (!config.namespace.endsWith('/')) {
-        config.namespace += '/';
-      }
+    return this.normalizeProfile(this.applyEnvOverrides(profile), profileName);
+  }
 
-      if (!config.namespace.startsWith('persistent://')) {
-        config.namespace = `persistent://${config.namespace}`;
-      }
+  /**
+   * Prompts the user for an authentication type and its settings
+   * @returns {Promise<object>} The authentication settings
+   */
+  async promptAuth() {
+    const notEmpty = (label) => (value) => value ? true : `${label} cannot be empty`;
 
-      return config;
-    } catch (err) {
-      console.error('Error saving configuration:', err);
-      process.exit(1);
+    const type = await select({
+      message: 'Select the authentication method:',
+      choices: [
+        { name: 'None (unauthenticated broker)', value: 'none' },
+        { name: 'Token (JWT)', value: 'token' },
+        { name: 'TLS client certificate (mTLS)', value: 'tls' },
+        { name: 'OAuth2 client credentials', value: 'oauth2' },
+        { name: 'Basic (username and password)', value: 'basic' }
+      ],
+      default: 'token'
+    });
+
+    switch (type) {
+      case 'token':
+        return {
+          type,
+          token: await password({ message: 'Enter your authentication token:', validate: notEmpty('Token') })
+        };
+      case 'tls': {
+        const auth = {
+          type,
+          certificatePath: await input({ message: 'Enter the client certificate path:', validate: notEmpty('Certificate path') }),
+          privateKeyPath: await input({ message: 'Enter the client private key path:', validate: notEmpty('Private key path') })
+        };
+        const trustCertsFilePath = await input({ message: 'Enter the CA certificate path (leave empty for system CAs):' });
+        return trustCertsFilePath ? { ...auth, trustCertsFilePath } : auth;
+      }
+      case 'oauth2': {
+        const auth = {
+          type,
+          issuerUrl: await input({ message: 'Enter the OAuth2 issuer URL:', validate: notEmpty('Issuer URL') }),
+          clientId: await input({ message: 'Enter the OAuth2 client ID:', validate: notEmpty('Client ID') }),
+          clientSecret: await password({ message: 'Enter the OAuth2 client secret:', validate: notEmpty('Client secret') })
+        };
+        const audience = await input({ message: 'Enter the OAuth2 audience (optional):' });
+        const scope = await input({ message: 'Enter the OAuth2 scope (optional):' });
+        return { ...auth, ...(audience && { audience }), ...(scope && { scope }) };
+      }
+      case 'basic':
+        return {
+          type,
+          username: await input({ message: 'Enter your username:', validate: notEmpty('Username') }),
+          password: await password({ message: 'Enter your password:', validate: notEmpty('Password') })
+        };
+      default:
+        return { type };
     }
   }
 }
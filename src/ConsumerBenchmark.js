@@ -0,0 +1,153 @@
+import { EventEmitter } from 'events';
+import { isTimeoutError } from './PulsarConsumer.js';
+import { LatencyHistogram } from './LatencyHistogram.js';
+import { preciseNow } from './Benchmark.js';
+
+/**
+ * Measures end-to-end latency by consuming the messages sent by the stress tool
+ * Latency is computed from the send time embedded by the stress tool, or from the publish time for other messages.
+ * Both clocks must be synchronized when producer and consumer run on different hosts.
+ * Emits ready once subscribed, and progress with the statistics of each interval.
+ * @class
+ * @property {Pulsar.Client} client - The Pulsar client instance
+ * @property {object} config - The configuration object
+ * @property {object} options - The benchmark options
+ * @property {Consumer} consumer - The consumer instance
+ * @property {LatencyHistogram} latencies - The end-to-end latencies of the whole run
+ * @property {LatencyHistogram} intervalLatencies - The end-to-end latencies of the current interval
+ * @property {object[]} intervals - The statistics of each elapsed interval
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @exports ConsumerBenchmark
+ */
+export class ConsumerBenchmark extends EventEmitter {
+  /**
+   * Creates an instance of ConsumerBenchmark
+   * @param {Pulsar.Client} client - The Pulsar client instance
+   * @param {object} config - The configuration object
+   * @param {object} options - The benchmark options
+   * @param {string} options.topicName - The full topic name
+   * @param {string} options.subscription - The subscription name
+   * @param {string} options.subscriptionType - The subscription type
+   * @param {number|null} options.count - The number of messages to expect, null to run until stopped
+   * @param {number|null} options.durationMs - The run duration, null to run until stopped
+   */
+  constructor(client, config, options) {
+    super();
+    this.client = client;
+    this.config = config;
+    this.options = options;
+    this.consumer = null;
+    this.latencies = new LatencyHistogram();
+    this.intervalLatencies = new LatencyHistogram();
+    this.intervals = [];
+    this.stopRequested = false;
+    this.received = 0;
+    this.latencySources = new Set();
+  }
+
+  /**
+   * Requests the benchmark to stop
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Records the end-to-end latency of a message
+   * @param {Message} msg - The received message
+   */
+  recordLatency(msg) {
+    const sendTime = parseFloat(msg.getProperties()[this.config.stress.sendTimeProperty]);
+    const source = isNaN(sendTime) ? 'publish-time' : 'send-time';
+    const latency = preciseNow() - (isNaN(sendTime) ? msg.getPublishTimestamp() : sendTime);
+
+    this.latencySources.add(source);
+    this.latencies.record(latency);
+    this.intervalLatencies.record(latency);
+  }
+
+  /**
+   * Closes the current interval and emits its statistics
+   * @param {number} startedAt - The run start time, in milliseconds since epoch
+   */
+  closeInterval(startedAt) {
+    const { count, p50, p99, max } = this.intervalLatencies.summary();
+    const interval = { elapsedSeconds: Math.round((Date.now() - startedAt) / 1000), received: count, p50, p99, max };
+    this.intervals.push(interval);
+    this.intervalLatencies = new LatencyHistogram();
+
+    this.emit('progress', { ...interval, total: this.received });
+  }
+
+  /**
+   * Runs the benchmark until the expected count, the duration or a stop request
+   * @returns {Promise<object>} The benchmark report
+   */
+  async run() {
+    const { topicName, subscription, subscriptionType, count, durationMs } = this.options;
+
+    this.consumer = await this.client.subscribe({
+      subscription,
+      subscriptionType,
+      subscriptionInitialPosition: 'Latest',
+      topic: topicName
+    });
+    this.emit('ready', { topic: topicName, subscription });
+
+    let startedAt = null;
+    let progress = null;
+
+    try {
+      while (!this.stopRequested) {
+        if (count && this.received >= count) break;
+        if (durationMs && startedAt && Date.now() - startedAt >= durationMs) break;
+
+        let msg;
+        try {
+          msg = await this.consumer.receive(this.config.consumer.pollIntervalMs);
+        } catch (err) {
+          if (isTimeoutError(err)) continue;
+          throw err;
+        }
+
+        // The run starts with the first message, so that waiting for the producer is not measured
+        if (!startedAt) {
+          startedAt = Date.now();
+          progress = setInterval(() => this.closeInterval(startedAt), this.config.stress.reportIntervalMs);
+        }
+
+        this.recordLatency(msg);
+        this.received++;
+        await this.consumer.acknowledge(msg);
+      }
+    } finally {
+      clearInterval(progress);
+      await this.consumer.close();
+    }
+
+    if (startedAt && this.intervalLatencies.count > 0) this.closeInterval(startedAt);
+    return this.getReport(startedAt ? (Date.now() - startedAt) / 1000 : 0);
+  }
+
+  /**
+   * Builds the benchmark report
+   * @param {number} elapsedSeconds - The run duration, in seconds
+   * @returns {object} The benchmark report
+   */
+  getReport(elapsedSeconds) {
+    const { topicName, subscription, count } = this.options;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      topic: topicName,
+      subscription,
+      expected: count,
+      received: this.received,
+      durationSeconds: round(elapsedSeconds),
+      messagesPerSecond: elapsedSeconds > 0 ? round(this.received / elapsedSeconds) : 0,
+      latencySource: [...this.latencySources].join(', ') || null,
+      latencyMs: this.latencies.summary(),
+      intervals: this.intervals
+    };
+  }
+}
@@ -0,0 +1,508 @@
+import { join } from 'path';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import Pulsar from 'pulsar-client';
+import { input } from '@inquirer/prompts';
+import { createPrompt, isEnterKey, makeTheme, useEffect, useKeypress, usePrefix, useState } from '@inquirer/core';
+import { MessageFormatter } from './MessageFormatter.js';
+import { toMessageRecord } from './messageRecord.js';
+import { PulsarProducer } from './PulsarProducer.js';
+import { isTimeoutError } from './PulsarConsumer.js';
+import { isValidTopicName, resolveTopicName } from './topicName.js';
+
+const COMMANDS = {
+  consume: ['start', 'stop'],
+  exit: [],
+  help: [],
+  peek: [],
+  seek: ['earliest', 'latest'],
+  send: ['--key', '--property'],
+  status: [],
+  topic: []
+};
+
+/**
+ * Splits a command line into words, keeping quoted strings together
+ * @param {string} line - The command line
+ * @returns {string[]} The words, without their quotes
+ */
+function tokenize(line) {
+  return [...line.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map((match) => match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Returns the longest common prefix of several words
+ * @param {string[]} words - The words
+ * @returns {string} The common prefix
+ */
+function commonPrefix(words) {
+  return words.reduce((prefix, word) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === word[length]) length++;
+    return prefix.slice(0, length);
+  });
+}
+
+/**
+ * Prompts for a command line, with history on the up and down keys and completion on the tab key
+ * @param {object} config - The prompt configuration
+ * @param {string} config.message - The prompt message
+ * @param {string[]} config.history - The previous command lines, oldest first
+ * @param {function(string): {line: string, candidates: string[]}} config.complete - The completion function
+ * @returns {Promise<string|null>} The entered command line, null on Ctrl-C or on Ctrl-D with an empty line
+ */
+const commandPrompt = createPrompt((config, done) => {
+  const theme = makeTheme(config.theme);
+  const [status, setStatus] = useState('idle');
+  const [value, setValue] = useState('');
+  const [historyIndex, setHistoryIndex] = useState(config.history.length);
+  const [candidates, setCandidates] = useState([]);
+  const prefix = usePrefix({ status, theme });
+
+  // Readline closes itself on Ctrl-C and Ctrl-D, the session ends instead of waiting for the process to exit
+  useEffect((rl) => {
+    const onClose = () => done(null);
+    rl.on('close', onClose);
+    return () => rl.removeListener('close', onClose);
+  }, []);
+
+  useKeypress((key, rl) => {
+    if (isEnterKey(key)) {
+      setStatus('done');
+      done(value.trim());
+    } else if (key.name === 'up' || key.name === 'down') {
+      const index = Math.min(Math.max(historyIndex + (key.name === 'up' ? -1 : 1), 0), config.history.length);
+      const line = config.history[index] ?? '';
+      rl.clearLine(0);
+      rl.write(line);
+      setHistoryIndex(index);
+      setValue(line);
+      setCandidates([]);
+    } else if (key.name === 'tab') {
+      // The tab character was inserted in the line, which is rewritten from the value before it
+      const completion = config.complete(value);
+      rl.clearLine(0);
+      rl.write(completion.line);
+      setValue(completion.line);
+      setCandidates(completion.candidates.length > 1 ? completion.candidates : []);
+    } else {
+      setValue(rl.line);
+      setCandidates([]);
+    }
+  });
+
+  const message = theme.style.message(config.message, status);
+  const line = status === 'done' ? theme.style.answer(value) : value;
+  return [`${prefix} ${message} ${line}`, candidates.length > 0 ? theme.style.help(candidates.join('  ')) : ''];
+});
+
+/**
+ * Runs an interactive session on a single client, to switch topics, send, peek and consume in the background
+ * Messages received in the background are printed before the next prompt.
+ * @class
+ * @property {PulsarManager} manager - The Pulsar manager holding the connected client
+ * @property {Pulsar.Client} client - The Pulsar client instance
+ * @property {object} config - The configuration object
+ * @property {Logger} logger - The logger of the command-line tool, for command errors
+ * @property {string} topic - The current topic, as given by the user
+ * @property {Set<string>} knownTopics - The topics used in the session, for completion
+ * @property {string[]} history - The command history, oldest first
+ * @property {Map<string, PulsarProducer>} producers - The producers, indexed by topic
+ * @property {Reader|null} reader - The reader used by peek, on the current topic
+ * @property {Consumer|null} backgroundConsumer - The background consumer, if started
+ * @property {string|null} backgroundTopic - The topic of the background consumer
+ * @property {string[]} pendingOutput - The background messages not printed yet
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @exports InteractiveSession
+ */
+export class InteractiveSession {
+  /**
+   * Creates an instance of InteractiveSession
+   * @param {PulsarManager} manager - The Pulsar manager holding the connected client
+   * @param {object} config - The configuration object
+   * @param {string} topic - The initial topic, as given by the user
+   * @param {Logger} logger - The logger of the command-line tool
+   */
+  constructor(manager, config, topic, logger) {
+    this.manager = manager;
+    this.client = manager.client;
+    this.config = config;
+    this.logger = logger;
+    this.topic = topic;
+    this.knownTopics = new Set([topic]);
+    this.history = [];
+    this.historyPath = join(manager.configManager.configDir, config.interactive.historyFile);
+    this.producers = new Map();
+    this.reader = null;
+    this.backgroundConsumer = null;
+    this.backgroundTopic = null;
+    this.backgroundLoop = null;
+    this.backgroundStopRequested = false;
+    this.backgroundReceived = 0;
+    this.pendingOutput = [];
+    this.formatter = new MessageFormatter('text');
+    this.stopRequested = false;
+  }
+
+  /**
+   * Requests the session to end after the running command
+   */
+  stop() {
+    this.stopRequested = true;
+    this.backgroundStopRequested = true;
+  }
+
+  /**
+   * Loads the command history of previous sessions
+   * @returns {Promise<void>}
+   */
+  async loadHistory() {
+    try {
+      this.history = (await readFile(this.historyPath, 'utf8')).split('\n').filter((line) => line);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  /**
+   * Saves the most recent commands for the next sessions
+   * @returns {Promise<void>}
+   */
+  async saveHistory() {
+    await mkdir(this.manager.configManager.configDir, { recursive: true });
+    await writeFile(this.historyPath, `${this.history.slice(-this.config.interactive.historySize).join('\n')}\n`);
+  }
+
+  /**
+   * Completes the last word of a command line with commands, their arguments or known topics
+   * @param {string} line - The command line
+   * @returns {{line: string, candidates: string[]}} The completed line and the candidates for the last word
+   */
+  complete(line) {
+    const words = tokenize(line);
+    if (line === '' || /\s$/.test(line)) words.push('');
+
+    const word = words[words.length - 1];
+    let choices;
+    if (words.length === 1) {
+      choices = Object.keys(COMMANDS);
+    } else if (words[0] === 'topic') {
+      choices = [...this.knownTopics];
+    } else {
+      choices = COMMANDS[words[0]] || [];
+    }
+
+    const candidates = choices.filter((choice) => choice.startsWith(word)).sort();
+    if (candidates.length === 0) return { line, candidates };
+
+    const completed = candidates.length === 1 ? `${candidates[0]} ` : commonPrefix(candidates);
+    return { line: `${line.slice(0, line.length - word.length)}${completed}`, candidates };
+  }
+
+  /**
+   * Returns the full name of the current topic, short names being relative to the namespace
+   * @returns {Promise<string>} The full topic name
+   */
+  async getTopicName() {
+    return resolveTopicName(this.topic, await this.manager.getNamespace());
+  }
+
+  /**
+   * Shows or switches the current topic, the peek position starting over
+   * @param {string[]} args - The command arguments: the new topic, if any
+   * @returns {Promise<void>}
+   */
+  async switchTopic([topic]) {
+    if (!topic) {
+      console.log(`Current topic: ${this.topic}`);
+      return;
+    }
+
+    if (!isValidTopicName(topic)) {
+      throw new Error('Expected topic name: topic, tenant/namespace/topic or a fully qualified name');
+    }
+
+    await this.closeReader();
+    this.topic = topic;
+    this.knownTopics.add(topic);
+    console.log(`Switched to topic ${topic}`);
+  }
+
+  /**
+   * Sends a message to the current topic, prompting for it when not given
+   * Syntax: send [message] [--key <key>] [--property <key=value>]...
+   * @param {string[]} args - The command arguments
+   * @returns {Promise<void>}
+   */
+  async send(args) {
+    const words = [];
+    const properties = {};
+    let key;
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--key') {
+        key = args[++i];
+      } else if (args[i] === '--property') {
+        const [name, ...value] = (args[++i] || '').split('=');
+        if (!name || value.length === 0) throw new Error('Expected format: --property key=value');
+        properties[name] = value.join('=');
+      } else {
+        words.push(args[i]);
+      }
+    }
+
+    let payload = words.join(' ');
+    if (!payload) {
+      payload = await input({ message: 'Message:', required: true });
+      key = await input({ message: 'Key (optional):' }) || undefined;
+      const pairs = await input({ message: 'Properties, as key=value separated by commas (optional):' });
+      for (const pair of pairs.split(',').map((item) => item.trim()).filter((item) => item)) {
+        const separator = pair.indexOf('=');
+        if (separator < 1) throw new Error(`Invalid property: ${pair}`);
+        properties[pair.slice(0, separator)] = pair.slice(separator + 1);
+      }
+    }
+
+    if (!this.producers.has(this.topic)) {
+      const producer = new PulsarProducer(this.client, this.config);
+      await producer.create(await this.getTopicName());
+      this.producers.set(this.topic, producer);
+    }
+
+    const messageId = await this.producers.get(this.topic).send({
+      payload,
+      key,
+      properties: Object.keys(properties).length > 0 ? properties : undefined
+    });
+    console.log(`Message sent to ${this.topic} (ID: ${messageId})`);
+  }
+
+  /**
+   * Creates the peek reader of the current topic at a position
+   * @param {string} position - earliest, latest, or a timestamp (ISO 8601 or milliseconds since epoch)
+   * @returns {Promise<void>}
+   */
+  async openReader(position) {
+    const timestamp = /^\d+$/.test(position) ? Number(position) : Date.parse(position);
+    if (!['earliest', 'latest'].includes(position) && isNaN(timestamp)) {
+      throw new Error('Expected position: earliest, latest or a timestamp');
+    }
+
+    await this.closeReader();
+    this.reader = await this.client.createReader({
+      receiverQueueSize: this.config.reader.queueSize,
+      startMessageId: position === 'latest' ? Pulsar.MessageId.latest() : Pulsar.MessageId.earliest(),
+      topic: await this.getTopicName()
+    });
+    if (!isNaN(timestamp)) await this.reader.seekTimestamp(timestamp);
+  }
+
+  /**
+   * Closes the peek reader, if any
+   * @returns {Promise<void>}
+   */
+  async closeReader() {
+    if (this.reader) {
+      await this.reader.close();
+      this.reader = null;
+    }
+  }
+
+  /**
+   * Prints the next messages of the current topic, from the earliest one on the first peek
+   * Syntax: peek [count]
+   * @param {string[]} args - The command arguments
+   * @returns {Promise<void>}
+   */
+  async peek([count]) {
+    const limit = parseInt(count) || this.config.interactive.defaultPeekCount;
+    if (!this.reader) await this.openReader('earliest');
+
+    for (let read = 0; read < limit; read++) {
+      if (!(await this.reader.hasNext())) {
+        console.log(read === 0 ? 'No more messages' : `End of topic reached after ${read} message(s)`);
+        return;
+      }
+      process.stdout.write(this.formatter.formatMessage(toMessageRecord(await this.reader.readNext())));
+    }
+  }
+
+  /**
+   * Moves the peek position of the current topic
+   * Syntax: seek <earliest|latest|timestamp>
+   * @param {string[]} args - The command arguments
+   * @returns {Promise<void>}
+   */
+  async seek([position]) {
+    if (!position) throw new Error('Usage: seek <earliest|latest|timestamp>');
+    await this.openReader(position);
+    console.log(`Peek position of ${this.topic} moved to ${position}`);
+  }
+
+  /**
+   * Receives messages in the background, acknowledging them and queueing them for output
+   * A failed receive or acknowledgment stops the loop, with an error queued for output.
+   * @returns {Promise<void>}
+   */
+  async receiveInBackground() {
+    while (!this.backgroundStopRequested) {
+      try {
+        const msg = await this.backgroundConsumer.receive(this.config.consumer.pollIntervalMs);
+        this.backgroundReceived++;
+        this.pendingOutput.push(this.formatter.formatMessage(toMessageRecord(msg)));
+        await this.backgroundConsumer.acknowledge(msg);
+      } catch (err) {
+        if (isTimeoutError(err)) continue;
+        this.pendingOutput.push(`[Error] Background consumer stopped: ${err.message}\n`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Starts or stops the background consumer of the current topic
+   * Syntax: consume start [subscription] | consume stop
+   * @param {string[]} args - The command arguments
+   * @returns {Promise<void>}
+   */
+  async consume([action, subscription]) {
+    if (action === 'stop') {
+      if (!this.backgroundConsumer) throw new Error('No background consumer is running');
+      await this.stopBackgroundConsumer();
+      return;
+    }
+    if (action !== 'start') throw new Error('Usage: consume start [subscription] | consume stop');
+    if (this.backgroundConsumer) throw new Error('A background consumer is already running, stop it first');
+
+    const name = subscription || this.config.interactive.subscriptionName;
+    this.backgroundConsumer = await this.client.subscribe({
+      subscription: name,
+      subscriptionType: 'Exclusive',
+      subscriptionInitialPosition: 'Latest',
+      topic: await this.getTopicName()
+    });
+    this.backgroundStopRequested = false;
+    this.backgroundReceived = 0;
+    // The loop is only awaited when stopped, so that a failure never goes unhandled in between
+    this.backgroundLoop = this.receiveInBackground().catch((err) => {
+      this.pendingOutput.push(`[Error] Background consumer stopped: ${err.message}\n`);
+    });
+    this.backgroundTopic = this.topic;
+    console.log(`Consuming ${this.topic} in the background with subscription ${name}, messages are shown before each prompt`);
+  }
+
+  /**
+   * Stops the background consumer and prints the messages it received last
+   * @returns {Promise<void>}
+   */
+  async stopBackgroundConsumer() {
+    if (!this.backgroundConsumer) return;
+
+    this.backgroundStopRequested = true;
+    await this.backgroundLoop;
+    await this.backgroundConsumer.close();
+    this.backgroundConsumer = null;
+    this.flushOutput();
+    console.log(`Background consumer stopped after ${this.backgroundReceived} message(s)`);
+  }
+
+  /**
+   * Prints the messages received in the background since the last prompt
+   */
+  flushOutput() {
+    for (const output of this.pendingOutput.splice(0)) {
+      process.stdout.write(output);
+    }
+  }
+
+  /**
+   * Prints the state of the session
+   */
+  printStatus() {
+    console.log(`Topic: ${this.topic}`);
+    console.log(`Peek reader: ${this.reader ? 'open' : 'not started'}`);
+    console.log(this.backgroundConsumer
+      ? `Background consumer: ${this.backgroundTopic}, ${this.backgroundReceived} message(s) received`
+      : 'Background consumer: stopped');
+  }
+
+  /**
+   * Runs a command line
+   * @param {string} line - The command line
+   * @returns {Promise<boolean>} False once the session should end
+   */
+  async execute(line) {
+    const [command, ...args] = tokenize(line);
+
+    switch (command) {
+      case undefined:
+        break;
+      case 'consume':
+        await this.consume(args);
+        break;
+      case 'exit':
+      case 'quit':
+        return false;
+      case 'help':
+        console.log(this.config.help.interactive);
+        break;
+      case 'peek':
+        await this.peek(args);
+        break;
+      case 'seek':
+        await this.seek(args);
+        break;
+      case 'send':
+        await this.send(args);
+        break;
+      case 'status':
+        this.printStatus();
+        break;
+      case 'topic':
+        await this.switchTopic(args);
+        break;
+      default:
+        console.log(`Unknown command: ${command}, type help for the list of commands`);
+    }
+    return true;
+  }
+
+  /**
+   * Reads and runs commands until exit, Ctrl-C, Ctrl-D or a stop request
+   * @returns {Promise<void>}
+   */
+  async run() {
+    await this.loadHistory();
+    console.log('Interactive session started, type help for the list of commands');
+
+    try {
+      while (!this.stopRequested) {
+        this.flushOutput();
+
+        const line = await commandPrompt({
+          message: `${this.topic}>`,
+          history: this.history,
+          complete: (value) => this.complete(value)
+        });
+        if (line === null) break;
+
+        if (line && line !== this.history[this.history.length - 1]) {
+          this.history.push(line);
+        }
+
+        try {
+          if (!(await this.execute(line))) break;
+        } catch (err) {
+          if (err.name === 'ExitPromptError') continue;
+          this.logger.error(err.message);
+        }
+      }
+    } finally {
+      await this.stopBackgroundConsumer();
+      await this.closeReader();
+      for (const producer of this.producers.values()) {
+        await producer.close();
+      }
+      await this.saveHistory();
+    }
+  }
+}
@@ -0,0 +1,80 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Generates the message keys of the stress tool, to exercise KeyShared subscriptions and partition routing
+ * Keys are key-0 to key-(count - 1), picked in turn with round-robin, at random with uniform, or at random with zipf,
+ * where key-0 is the most frequent and the frequency of key-n decreases as 1 / (n + 1)^exponent. None sends no key.
+ * @class
+ * @property {string} strategy - The key strategy: none, round-robin, uniform or zipf
+ * @property {number} count - The number of distinct keys
+ * @property {Float64Array|null} cumulative - The cumulative probabilities of the keys, with zipf
+ * @exports KeyGenerator
+ */
+export class KeyGenerator {
+  /**
+   * Creates an instance of KeyGenerator
+   * @param {object} [options={}] - The key options
+   * @param {string} [options.strategy=CONFIG.stress.defaultKeyStrategy] - The key strategy
+   * @param {number} [options.count=CONFIG.stress.keyCount] - The number of distinct keys
+   * @param {number} [options.zipfExponent=CONFIG.stress.defaultZipfExponent] - The skew of zipf, higher being more skewed
+   */
+  constructor({
+    strategy = CONFIG.stress.defaultKeyStrategy,
+    count = CONFIG.stress.keyCount,
+    zipfExponent = CONFIG.stress.defaultZipfExponent
+  } = {}) {
+    this.strategy = strategy;
+    this.count = count;
+    this.cumulative = strategy === 'zipf' ? KeyGenerator.zipfDistribution(count, zipfExponent) : null;
+  }
+
+  /**
+   * Computes the cumulative probabilities of a Zipf distribution
+   * @param {number} count - The number of keys
+   * @param {number} exponent - The skew
+   * @returns {Float64Array} The cumulative probability of each key, the last one being 1
+   */
+  static zipfDistribution(count, exponent) {
+    const cumulative = new Float64Array(count);
+    let total = 0;
+    for (let rank = 0; rank < count; rank++) {
+      total += 1 / Math.pow(rank + 1, exponent);
+      cumulative[rank] = total;
+    }
+    return cumulative.map((value) => value / total);
+  }
+
+  /**
+   * Draws a key index from the Zipf distribution, by binary search of the cumulative probabilities
+   * @returns {number} The key index
+   */
+  nextZipfIndex() {
+    const target = Math.random();
+    let low = 0;
+    let high = this.count - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.cumulative[middle] < target) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * Generates the key of a message
+   * @param {number} sequence - The sequence number of the message
+   * @returns {string|undefined} The key, undefined with the none strategy
+   */
+  next(sequence) {
+    switch (this.strategy) {
+      case 'none':
+        return undefined;
+      case 'uniform':
+        return `key-${Math.floor(Math.random() * this.count)}`;
+      case 'zipf':
+        return `key-${this.nextZipfIndex()}`;
+      default:
+        return `key-${sequence % this.count}`;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+const PRECISION = 1.01;
+const LOG_PRECISION = Math.log(PRECISION);
+
+/**
+ * Records latencies in logarithmic buckets, giving percentiles within 1% without keeping every sample
+ * @class
+ * @property {Map<number, number>} buckets - The sample counts, indexed by bucket
+ * @property {number} count - The number of samples
+ * @property {number} sum - The sum of samples, in milliseconds
+ * @property {number} max - The highest sample, in milliseconds
+ * @exports LatencyHistogram
+ */
+export class LatencyHistogram {
+  /**
+   * Creates an instance of LatencyHistogram
+   */
+  constructor() {
+    this.buckets = new Map();
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  /**
+   * Records a latency
+   * @param {number} latencyMs - The latency, in milliseconds
+   */
+  record(latencyMs) {
+    const value = Math.max(latencyMs, 0.001);
+    const bucket = Math.floor(Math.log(value) / LOG_PRECISION);
+    this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + 1);
+    this.count++;
+    this.sum += value;
+    this.max = Math.max(this.max, value);
+  }
+
+  /**
+   * Adds the samples of another histogram, such as those of several producers of a run
+   * @param {LatencyHistogram} histogram - The histogram to add
+   */
+  merge(histogram) {
+    for (const [bucket, samples] of histogram.buckets) {
+      this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + samples);
+    }
+    this.count += histogram.count;
+    this.sum += histogram.sum;
+    this.max = Math.max(this.max, histogram.max);
+  }
+
+  /**
+   * Returns the latency under which a given share of samples fall
+   * @param {number} percentile - The percentile, between 0 and 100
+   * @returns {number} The latency, in milliseconds, 0 without samples
+   */
+  percentile(percentile) {
+    if (this.count === 0) return 0;
+
+    const target = Math.ceil((percentile / 100) * this.count);
+    let seen = 0;
+    for (const bucket of [...this.buckets.keys()].sort((a, b) => a - b)) {
+      seen += this.buckets.get(bucket);
+      if (seen >= target) {
+        return Math.min(Math.pow(PRECISION, bucket + 1), this.max);
+      }
+    }
+    return this.max;
+  }
+
+  /**
+   * Returns the number of samples under a latency, within the 1% precision of buckets
+   * @param {number} latencyMs - The latency, in milliseconds
+   * @returns {number} The number of samples in the buckets up to the one of this latency
+   */
+  countUnder(latencyMs) {
+    const limit = Math.floor(Math.log(latencyMs) / LOG_PRECISION);
+    let count = 0;
+    for (const [bucket, samples] of this.buckets) {
+      if (bucket <= limit) count += samples;
+    }
+    return count;
+  }
+
+  /**
+   * Returns the usual latency statistics, rounded to the microsecond
+   * @returns {{count: number, mean: number, p50: number, p95: number, p99: number, max: number}}
+   */
+  summary() {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+      count: this.count,
+      mean: round(this.count > 0 ? this.sum / this.count : 0),
+      p50: round(this.percentile(50)),
+      p95: round(this.percentile(95)),
+      p99: round(this.percentile(99)),
+      max: round(this.max)
+    };
+  }
+}
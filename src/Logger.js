@@ -0,0 +1,89 @@
+import { CONFIG } from './config.js';
+
+const TEXT_PREFIXES = { error: '[Error] ', warn: '[Warning] ', info: '', debug: '[Debug] ' };
+
+/**
+ * Writes diagnostics to stderr, so that they never mix with the messages and results written to stdout
+ * Text logs are plain lines, prefixed with their level except at info. JSON logs are one object per line holding
+ * the time, the level, the message and its fields, for log shippers.
+ * @class
+ * @property {string} level - The most verbose level written: error, warn, info or debug
+ * @property {string} format - The log format: text or json
+ * @property {Writable} stream - The stream logs are written to
+ * @exports Logger
+ */
+export class Logger {
+  /**
+   * Creates an instance of Logger
+   * @param {object} [options={}] - The logger options
+   * @param {string} [options.level=CONFIG.logging.defaultLevel] - The most verbose level written
+   * @param {string} [options.format=CONFIG.logging.defaultFormat] - The log format: text or json
+   * @param {Writable} [options.stream=process.stderr] - The stream logs are written to
+   */
+  constructor({ level = CONFIG.logging.defaultLevel, format = CONFIG.logging.defaultFormat, stream = process.stderr } = {}) {
+    this.level = level;
+    this.format = format;
+    this.stream = stream;
+  }
+
+  /**
+   * Checks whether a level is written
+   * @param {string} level - The level: error, warn, info or debug
+   * @returns {boolean} True if logs of this level are written
+   */
+  isEnabled(level) {
+    const { validLevels } = CONFIG.logging;
+    return validLevels.indexOf(level) <= validLevels.indexOf(this.level);
+  }
+
+  /**
+   * Writes a log entry if its level is enabled
+   * @param {string} level - The level: error, warn, info or debug
+   * @param {string} message - The message
+   * @param {object} [fields={}] - Context written along with the message in JSON format, such as the topic
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const line = this.format === 'json'
+      ? JSON.stringify({ time: new Date().toISOString(), level, message, ...fields })
+      : `${TEXT_PREFIXES[level]}${message}`;
+    this.stream.write(`${line}\n`);
+  }
+
+  /**
+   * Writes an error
+   * @param {string} message - The message
+   * @param {object} [fields] - Context written along with the message in JSON format
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Writes a warning
+   * @param {string} message - The message
+   * @param {object} [fields] - Context written along with the message in JSON format
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Writes an information
+   * @param {string} message - The message
+   * @param {object} [fields] - Context written along with the message in JSON format
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Writes debug information
+   * @param {string} message - The message
+   * @param {object} [fields] - Context written along with the message in JSON format
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+}
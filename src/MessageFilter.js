@@ -0,0 +1,134 @@
+const PATH_SEGMENT = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\["([^"]+)"\]/y;
+
+/**
+ * Parses a JSON path such as "$.user.id", "items[0].name" or '$["odd key"]' into its segments
+ * @param {string} path - The JSON path
+ * @returns {Array<string|number>} The property names and array indexes
+ */
+function parsePath(path) {
+  const normalized = path.startsWith('$') ? path.slice(1) : `.${path}`;
+  const segments = [];
+
+  PATH_SEGMENT.lastIndex = 0;
+  while (PATH_SEGMENT.lastIndex < normalized.length) {
+    const start = PATH_SEGMENT.lastIndex;
+    const match = PATH_SEGMENT.exec(normalized);
+    if (!match) {
+      throw new Error(`Invalid JSON path "${path}" at "${normalized.slice(start)}"`);
+    }
+    segments.push(match[2] !== undefined ? parseInt(match[2]) : match[1] ?? match[3]);
+  }
+
+  if (segments.length === 0) {
+    throw new Error(`Invalid JSON path "${path}"`);
+  }
+  return segments;
+}
+
+/**
+ * Compiles a regular expression given on the command line
+ * @param {string} pattern - The pattern
+ * @param {string} option - The option name, used in error messages
+ * @returns {RegExp} The compiled expression
+ */
+function compileRegex(pattern, option) {
+  try {
+    return new RegExp(pattern);
+  } catch (err) {
+    throw new Error(`Invalid regular expression for ${option}: ${err.message}`);
+  }
+}
+
+/**
+ * Selects received messages on their key, properties and payload, all given criteria having to match
+ * @class
+ * @property {string|null} key - The exact key to match
+ * @property {RegExp|null} keyRegex - The expression keys must match
+ * @property {object} properties - The property values to match, indexed by name
+ * @property {RegExp|null} payload - The expression payloads must match
+ * @property {Array<{path: Array<string|number>, value: string|undefined}>} json - The JSON path expressions to match
+ * @property {SchemaCodec|null} schema - The schema used to decode payloads for JSON path expressions
+ * @exports MessageFilter
+ */
+export class MessageFilter {
+  /**
+   * Creates an instance of MessageFilter
+   * @param {object} [filters={}] - The filters, as returned by ArgumentParser.getFilters
+   * @param {SchemaCodec|null} [schema=null] - The schema used to decode payloads
+   */
+  constructor(filters = {}, schema = null) {
+    this.key = filters.key ?? null;
+    this.keyRegex = filters.keyRegex ? compileRegex(filters.keyRegex, '--filter-key-regex') : null;
+    this.properties = filters.properties || {};
+    this.payload = filters.payload ? compileRegex(filters.payload, '--filter-payload') : null;
+    this.json = (filters.json || []).map((expression) => {
+      const separator = expression.indexOf('=');
+      return separator === -1
+        ? { path: parsePath(expression), value: undefined }
+        : { path: parsePath(expression.slice(0, separator)), value: expression.slice(separator + 1) };
+    });
+    this.schema = schema;
+  }
+
+  /**
+   * Checks whether any criteria is set
+   * @returns {boolean} True if messages can be filtered out
+   */
+  isActive() {
+    return this.key !== null || this.keyRegex !== null || this.payload !== null
+      || Object.keys(this.properties).length > 0 || this.json.length > 0;
+  }
+
+  /**
+   * Reads the value at a JSON path
+   * @param {*} document - The JSON document
+   * @param {Array<string|number>} path - The path segments
+   * @returns {*} The value, undefined if the path does not exist
+   */
+  resolvePath(document, path) {
+    return path.reduce((value, segment) => (value !== null && typeof value === 'object') ? value[segment] : undefined, document);
+  }
+
+  /**
+   * Checks the JSON path expressions against a payload
+   * Expressions without value only require the path to exist, values are compared as text for strings and as JSON otherwise
+   * @param {Buffer} data - The payload
+   * @returns {boolean} True if all expressions match, false if the payload is not JSON
+   */
+  matchesJson(data) {
+    let document;
+    try {
+      document = this.schema ? this.schema.decode(data) : JSON.parse(data.toString());
+    } catch {
+      return false;
+    }
+
+    return this.json.every(({ path, value }) => {
+      const actual = this.resolvePath(document, path);
+      if (actual === undefined) return false;
+      if (value === undefined) return true;
+      return typeof actual === 'string' ? actual === value : JSON.stringify(actual) === value;
+    });
+  }
+
+  /**
+   * Checks whether a message matches all criteria
+   * @param {Message} msg - The received message
+   * @returns {boolean} True if the message matches
+   */
+  matches(msg) {
+    const key = msg.getPartitionKey();
+    if (this.key !== null && key !== this.key) return false;
+    if (this.keyRegex && !this.keyRegex.test(key)) return false;
+
+    const properties = msg.getProperties();
+    for (const [name, value] of Object.entries(this.properties)) {
+      if (properties[name] !== value) return false;
+    }
+
+    if (this.payload && !this.payload.test(msg.getData().toString())) return false;
+    if (this.json.length > 0 && !this.matchesJson(msg.getData())) return false;
+
+    return true;
+  }
+}
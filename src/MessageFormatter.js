@@ -0,0 +1,85 @@
+/**
+ * Formats received messages for output
+ * @class
+ * @property {string} format - The output format (text, json, ndjson, raw, hex or base64)
+ * @property {boolean} showTopic - Flag indicating text output names the topic of each message
+ * @exports MessageFormatter
+ */
+export class MessageFormatter {
+  /**
+   * Creates an instance of MessageFormatter
+   * @param {string} format - The output format
+   * @param {boolean} [showTopic=false] - Whether text output names the topic of each message
+   */
+  constructor(format, showTopic = false) {
+    this.format = format;
+    this.showTopic = showTopic;
+  }
+
+  /**
+   * Converts a timestamp to an ISO string
+   * @param {number|null} timestamp - The timestamp in milliseconds since epoch
+   * @returns {string|null} The ISO string, or null if unset
+   */
+  toISOString(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * Builds the JSON output of a message record, with ISO timestamps and without the raw payload
+   * @param {object} record - The message record, as returned by toMessageRecord
+   * @returns {object} The JSON output
+   */
+  toJson(record) {
+    return {
+      topic: record.topic,
+      messageId: record.messageId,
+      key: record.key,
+      properties: record.properties,
+      publishTime: this.toISOString(record.publishTime),
+      eventTime: this.toISOString(record.eventTime),
+      redeliveryCount: record.redeliveryCount,
+      ...(record.decodeError && { decodeError: record.decodeError }),
+      payload: record.payload,
+      payloadEncoding: record.payloadEncoding
+    };
+  }
+
+  /**
+   * Formats a payload for text output, decoded with the schema if any
+   * @param {object} record - The message record
+   * @returns {string} The payload as text
+   */
+  formatPayload({ data, payload, payloadEncoding, decodeError }) {
+    if (decodeError) return `${data.toString()} [decode error: ${decodeError}]`;
+    if (['utf8', 'base64'].includes(payloadEncoding)) return data.toString();
+    return typeof payload === 'string' ? payload : JSON.stringify(payload);
+  }
+
+  /**
+   * Formats a message as a single output entry, terminated by a newline
+   * @param {object} record - The message record, as returned by toMessageRecord
+   * @returns {string|Buffer} The formatted message
+   */
+  formatMessage(record) {
+    switch (this.format) {
+      case 'json':
+        return `${JSON.stringify(this.toJson(record), null, 2)}\n`;
+      case 'ndjson':
+        return `${JSON.stringify(this.toJson(record))}\n`;
+      case 'raw':
+        return Buffer.concat([record.data, Buffer.from('\n')]);
+      case 'hex':
+        return `${record.data.toString('hex')}\n`;
+      case 'base64':
+        return `${record.data.toString('base64')}\n`;
+      default: {
+        const timestamp = new Date(record.publishTime).toISOString();
+        const topic = this.showTopic ? `topic: ${record.topic.split('/').pop()}, ` : '';
+        const redeliveries = record.redeliveryCount > 0 ? `, redeliveries: ${record.redeliveryCount}` : '';
+        const retries = record.properties.RECONSUMETIMES ? `, retries: ${record.properties.RECONSUMETIMES}` : '';
+        return `[${timestamp}] ${this.formatPayload(record)} (${topic}key: ${record.key ?? ''}, ID: ${record.messageId}${redeliveries}${retries})\n`;
+      }
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import http from 'http';
+
+const LABEL_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n' };
+
+/**
+ * Formats the labels of a sample in the Prometheus text format
+ * @param {object} labels - The label values, indexed by label name
+ * @returns {string} The labels, such as {topic="orders"}, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/[\\"\n]/g, (char) => LABEL_ESCAPES[char])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Adds a value to the sample with the same labels, so that components sharing a topic are reported once
+ * @param {Map<string, {labels: object, value: *}>} samples - The samples, indexed by formatted labels
+ * @param {object} labels - The labels of the value
+ * @param {*} value - The value
+ * @param {Function} [merge] - Combines the existing value with the new one, added by default
+ */
+function addSample(samples, labels, value, merge = (a, b) => a + b) {
+  const key = formatLabels(labels);
+  const sample = samples.get(key);
+  if (sample) {
+    sample.value = merge(sample.value, value);
+  } else {
+    samples.set(key, { labels, value });
+  }
+}
+
+/**
+ * Serves the counters of the producers and consumers of a session as a Prometheus text endpoint
+ * Producer metrics are labeled by topic, consumer metrics by the topic of each message, so that consumers of several
+ * topics or of a pattern report each one, and by subscription, empty for readers. Latencies are reported as
+ * histograms in seconds, send latencies from the send call to the broker acknowledgment, and receive latencies from
+ * the publish time, so they depend on clock synchronization with the broker.
+ * @class
+ * @property {PulsarManager} manager - The Pulsar manager whose components are reported
+ * @property {object} config - The configuration object
+ * @property {http.Server|null} server - The HTTP server, once listening
+ * @exports MetricsServer
+ */
+export class MetricsServer {
+  /**
+   * Creates an instance of MetricsServer
+   * @param {PulsarManager} manager - The Pulsar manager whose components are reported
+   * @param {object} config - The configuration object
+   */
+  constructor(manager, config) {
+    this.manager = manager;
+    this.config = config;
+    this.server = null;
+  }
+
+  /**
+   * Starts serving the metrics
+   * @param {number} port - The port to listen on, on all interfaces
+   * @returns {Promise<number>} The port listened on
+   */
+  async listen(port) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+    return this.server.address().port;
+  }
+
+  /**
+   * Answers a scrape with the current metrics, other paths with 404
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== this.config.metrics.path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(this.render());
+  }
+
+  /**
+   * Renders a metric family: its help, its type and its samples
+   * @param {string} name - The metric name, without prefix
+   * @param {string} type - The metric type: counter, gauge or histogram
+   * @param {string} help - The metric description
+   * @param {Array<[string, object, number]>} samples - The name suffixes, labels and values of the samples
+   * @returns {string[]} The lines
+   */
+  renderFamily(name, type, help, samples) {
+    const fullName = `${this.config.metrics.prefix}_${name}`;
+    return [
+      `# HELP ${fullName} ${help}`,
+      `# TYPE ${fullName} ${type}`,
+      ...samples.map(([suffix, labels, value]) => `${fullName}${suffix}${formatLabels(labels)} ${value}`)
+    ];
+  }
+
+  /**
+   * Renders a counter summed over the components with the same labels
+   * @param {string} name - The metric name, without prefix
+   * @param {string} help - The metric description
+   * @param {Array<{labels: object, component: object}>} sources - The labeled components
+   * @param {Function} read - Returns the value of a component
+   * @returns {string[]} The lines
+   */
+  renderCounter(name, help, sources, read) {
+    const samples = new Map();
+    for (const { labels, component } of sources) addSample(samples, labels, read(component));
+    return this.renderFamily(name, 'counter', help, [...samples.values()].map(({ labels, value }) => ['', labels, value]));
+  }
+
+  /**
+   * Renders the error counters of the components, labeled by type
+   * @param {Array<{labels: object, component: object}>} sources - The labeled components
+   * @returns {string[]} The lines
+   */
+  renderErrors(sources) {
+    const samples = new Map();
+    for (const { labels, component } of sources) {
+      for (const [type, count] of Object.entries(component.stats.errors)) {
+        addSample(samples, { ...labels, type }, count);
+      }
+    }
+    return this.renderFamily(
+      'errors_total', 'counter', 'Errors by type: send, invalid-record, receive, decode or ack',
+      [...samples.values()].map(({ labels, value }) => ['', labels, value])
+    );
+  }
+
+  /**
+   * Renders a latency histogram merged over the components with the same labels, in seconds
+   * @param {string} name - The metric name, without prefix
+   * @param {string} help - The metric description
+   * @param {Array<{labels: object, component: object}>} sources - The labeled components
+   * @param {Function} read - Returns the LatencyHistogram of a component
+   * @returns {string[]} The lines
+   */
+  renderHistogram(name, help, sources, read) {
+    const bounds = this.config.metrics.latencyBucketsMs;
+    const samples = new Map();
+    for (const { labels, component } of sources) {
+      const histogram = read(component);
+      const value = { buckets: bounds.map((bound) => histogram.countUnder(bound)), sum: histogram.sum, count: histogram.count };
+      addSample(samples, labels, value, (a, b) => ({
+        buckets: a.buckets.map((count, index) => count + b.buckets[index]),
+        sum: a.sum + b.sum,
+        count: a.count + b.count
+      }));
+    }
+
+    const lines = [...samples.values()].flatMap(({ labels, value }) => [
+      ...bounds.map((bound, index) => ['_bucket', { ...labels, le: String(bound / 1000) }, value.buckets[index]]),
+      ['_bucket', { ...labels, le: '+Inf' }, value.count],
+      ['_sum', labels, value.sum / 1000],
+      ['_count', labels, value.count]
+    ]);
+    return this.renderFamily(name, 'histogram', help, lines);
+  }
+
+  /**
+   * Renders the metrics of the session components in the Prometheus text format
+   * @returns {string} The metrics
+   */
+  render() {
+    const { producers, consumers } = this.manager.getComponents();
+    const producerSources = producers
+      .filter((producer) => producer.topic)
+      .map((producer) => ({ labels: { topic: producer.topic }, component: producer }));
+    const consumerSources = consumers.flatMap((consumer) => [...consumer.topicStats.topics].map(([topic, counters]) => ({
+      labels: { topic, subscription: consumer.isReader ? '' : consumer.subscription },
+      component: counters
+    })));
+    const uptime = (Date.now() - this.manager.startedAt) / 1000;
+
+    return [
+      ...this.renderCounter('messages_received_total', 'Messages received by consumers and readers', consumerSources, (consumer) => consumer.stats.received),
+      ...this.renderCounter('messages_acked_total', 'Messages acknowledged', consumerSources, (consumer) => consumer.stats.acked),
+      ...this.renderCounter('messages_nacked_total', 'Messages negatively acknowledged or sent to the retry topic', consumerSources, (consumer) => consumer.stats.nacked),
+      ...this.renderCounter('messages_sent_total', 'Messages sent and acknowledged by the broker', producerSources, (producer) => producer.stats.sent),
+      ...this.renderCounter('bytes_received_total', 'Payload bytes received', consumerSources, (consumer) => consumer.stats.bytes),
+      ...this.renderCounter('bytes_sent_total', 'Payload bytes sent', producerSources, (producer) => producer.stats.bytes),
+      ...this.renderHistogram('send_latency_seconds', 'Time from send to broker acknowledgment', producerSources, (producer) => producer.sendLatencies),
+      ...this.renderHistogram('receive_latency_seconds', 'Time from publish to receive', consumerSources, (consumer) => consumer.receiveLatencies),
+      ...this.renderErrors([...producerSources, ...consumerSources]),
+      ...this.renderFamily('uptime_seconds', 'gauge', 'Time since the session started', [['', {}, uptime]])
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Stops serving the metrics
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise((resolve) => this.server.close(resolve));
+    }
+  }
+}
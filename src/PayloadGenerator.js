@@ -0,0 +1,184 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { readFile } from 'fs/promises';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)(?::([^}]*?))?\s*\}\}/g;
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// Extra random bytes of the pool, so that payloads of the same size do not always have the same content
+const POOL_MARGIN = 64 * 1024;
+
+/**
+ * Returns a random integer between min and max, both included
+ * @param {number} min - The lower bound
+ * @param {number} max - The upper bound
+ * @returns {number} The integer
+ */
+function randomInteger(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Returns a random alphanumeric string
+ * @param {number} length - The length of the string
+ * @returns {string} The string
+ */
+function randomString(length) {
+  let value = '';
+  for (let i = 0; i < length; i++) value += ALPHANUMERIC[Math.floor(Math.random() * ALPHANUMERIC.length)];
+  return value;
+}
+
+/**
+ * Template placeholders, indexed by name, returning the function that renders them from their arguments
+ * Arguments follow the name, separated by colons, such as {{randomInt:1:100}}.
+ */
+const PLACEHOLDERS = {
+  seq: () => (sequence) => String(sequence),
+  uuid: () => () => randomUUID(),
+  timestamp: () => () => String(Date.now()),
+  date: () => () => new Date().toISOString(),
+  randomInt: (min = '0', max = '1000000') => {
+    const [low, high] = [parseInt(min), parseInt(max)];
+    if (isNaN(low) || isNaN(high) || low > high) throw new Error(`Invalid bounds for randomInt: ${min}:${max}`);
+    return () => String(randomInteger(low, high));
+  },
+  randomFloat: (min = '0', max = '1') => {
+    const [low, high] = [parseFloat(min), parseFloat(max)];
+    if (isNaN(low) || isNaN(high) || low > high) throw new Error(`Invalid bounds for randomFloat: ${min}:${max}`);
+    return () => String(low + Math.random() * (high - low));
+  },
+  randomString: (length = '16') => {
+    const size = parseInt(length);
+    if (!(size > 0)) throw new Error(`Invalid length for randomString: ${length}`);
+    return () => randomString(size);
+  },
+  randomChoice: (choices = '') => {
+    const values = choices.split('|');
+    return () => values[Math.floor(Math.random() * values.length)];
+  }
+};
+
+/**
+ * Parses a payload size: a number of bytes, a uniform range min-max, or a normal distribution mean~deviation
+ * @param {string|number} value - The size
+ * @returns {{type: string, min?: number, max?: number, mean?: number, deviation?: number}|null} The size distribution, null if invalid
+ */
+export function parsePayloadSize(value) {
+  const text = String(value);
+  let match;
+  if ((match = /^(\d+)$/.exec(text)) && parseInt(match[1]) > 0) {
+    return { type: 'fixed', min: parseInt(match[1]), max: parseInt(match[1]) };
+  }
+  if ((match = /^(\d+)-(\d+)$/.exec(text)) && parseInt(match[1]) <= parseInt(match[2]) && parseInt(match[2]) > 0) {
+    return { type: 'uniform', min: parseInt(match[1]), max: parseInt(match[2]) };
+  }
+  if ((match = /^(\d+)~(\d+)$/.exec(text)) && parseInt(match[1]) > 0) {
+    const [mean, deviation] = [parseInt(match[1]), parseInt(match[2])];
+    // Sizes are clipped to six deviations around the mean, outside of which samples are vanishingly rare
+    return { type: 'normal', mean, deviation, min: Math.max(0, mean - 6 * deviation), max: mean + 6 * deviation };
+  }
+  return null;
+}
+
+/**
+ * Generates the payloads of the stress tool, from a template, a file of sample payloads, or random content of a size
+ * Templates replace placeholders such as {{seq}}, {{uuid}}, {{timestamp}} or {{randomInt:1:100}} for each message.
+ * Samples are the non-empty lines of the file, picked at random. Random payloads are alphanumeric, sliced from a pool
+ * generated once so that large payloads stay cheap at benchmark rates.
+ * @class
+ * @property {Array<string|Function>|null} template - The compiled template: literal parts and placeholder renderers
+ * @property {string|null} file - The file of sample payloads
+ * @property {string[]} samples - The sample payloads, once loaded
+ * @property {object|null} size - The size distribution of random payloads, as returned by parsePayloadSize
+ * @property {Buffer|null} pool - The random content of random payloads
+ * @exports PayloadGenerator
+ */
+export class PayloadGenerator {
+  /**
+   * Creates an instance of PayloadGenerator, from one of the payload sources
+   * @param {object} options - The payload source
+   * @param {string|null} [options.template=null] - The template
+   * @param {string|null} [options.file=null] - The file of sample payloads, one per line
+   * @param {string|number|null} [options.size=null] - The size of random payloads, as accepted by parsePayloadSize
+   */
+  constructor({ template = null, file = null, size = null }) {
+    this.template = template !== null ? PayloadGenerator.compile(template) : null;
+    this.file = file;
+    this.samples = [];
+    this.size = null;
+    this.pool = null;
+
+    if (size !== null) {
+      this.size = parsePayloadSize(size);
+      if (!this.size) throw new Error(`Invalid payload size: ${size}`);
+      this.pool = randomBytes(this.size.max + POOL_MARGIN)
+        .map((byte) => ALPHANUMERIC.charCodeAt(byte % ALPHANUMERIC.length));
+    }
+  }
+
+  /**
+   * Compiles a template into literal parts and placeholder renderers
+   * @param {string} template - The template
+   * @returns {Array<string|Function>} The parts
+   */
+  static compile(template) {
+    const parts = [];
+    let position = 0;
+    for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+      const [placeholder, name, args] = match;
+      if (!Object.hasOwn(PLACEHOLDERS, name)) {
+        throw new Error(`Unknown placeholder ${placeholder} in payload template\nValid placeholders: ${Object.keys(PLACEHOLDERS).join(', ')}`);
+      }
+      parts.push(template.slice(position, match.index), PLACEHOLDERS[name](...(args ? args.split(':') : [])));
+      position = match.index + placeholder.length;
+    }
+    parts.push(template.slice(position));
+    return parts.filter((part) => part !== '');
+  }
+
+  /**
+   * Loads the sample payloads of the file, if any
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.file) return;
+
+    const content = await readFile(this.file, 'utf8');
+    this.samples = content.split(/\r?\n/).filter((line) => line !== '');
+    if (this.samples.length === 0) {
+      throw new Error(`No payloads found in ${this.file}`);
+    }
+  }
+
+  /**
+   * Draws the size of the next random payload
+   * @returns {number} The size, in bytes
+   */
+  nextSize() {
+    const { type, min, max, mean, deviation } = this.size;
+    if (type === 'uniform') return randomInteger(min, max);
+    if (type === 'normal') {
+      // Box-Muller transform
+      const normal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      return Math.min(max, Math.max(min, Math.round(mean + normal * deviation)));
+    }
+    return min;
+  }
+
+  /**
+   * Generates the payload of a message
+   * @param {number} sequence - The sequence number of the message
+   * @returns {string|Buffer} The payload
+   */
+  next(sequence) {
+    if (this.template) {
+      return this.template.map((part) => typeof part === 'string' ? part : part(sequence)).join('');
+    }
+    if (this.samples.length > 0) {
+      return this.samples[Math.floor(Math.random() * this.samples.length)];
+    }
+
+    const size = this.nextSize();
+    const offset = Math.floor(Math.random() * (this.pool.length - size + 1));
+    return this.pool.subarray(offset, offset + size);
+  }
+}
@@ -0,0 +1,305 @@
+import http from 'http';
+import https from 'https';
+import { readFile } from 'fs/promises';
+import { toTopicPath } from './topicName.js';
+
+/**
+ * Derives the admin API URL from a broker service URL, using the default web service ports
+ * @param {string} serviceUrl - The service URL, such as pulsar://host:6650 or pulsar+ssl://host:6651
+ * @returns {string} The admin URL, such as http://host:8080 or https://host:8443
+ */
+export function toAdminUrl(serviceUrl) {
+  if (/^https?:\/\//.test(serviceUrl)) return serviceUrl.replace(/\/+$/, '');
+
+  const match = /^pulsar(\+ssl)?:\/\/([^:/,]+)/.exec(serviceUrl);
+  if (!match) {
+    throw new Error(`Cannot derive the admin URL from service URL ${serviceUrl}, set adminUrl in the profile`);
+  }
+  return match[1] ? `https://${match[2]}:8443` : `http://${match[2]}:8080`;
+}
+
+/**
+ * Calls the broker's HTTP admin API (v2) with the authentication settings of a profile
+ * @class
+ * @property {URL} baseUrl - The admin API base URL
+ * @property {object} auth - The authentication settings
+ * @property {object} config - The configuration object
+ * @property {string|null} accessToken - The OAuth2 access token, once fetched
+ * @exports PulsarAdmin
+ */
+export class PulsarAdmin {
+  /**
+   * Creates an instance of PulsarAdmin
+   * @param {string} adminUrl - The admin API base URL
+   * @param {object} auth - The authentication settings, as normalized by ConfigManager
+   * @param {object} config - The configuration object
+   */
+  constructor(adminUrl, auth, config) {
+    this.baseUrl = new URL(adminUrl);
+    this.auth = auth;
+    this.config = config;
+    this.accessToken = null;
+  }
+
+  /**
+   * Sends an HTTP request
+   * @param {string} method - The HTTP method
+   * @param {URL} url - The request URL
+   * @param {object} [options={}] - The request options
+   * @param {object} [options.headers={}] - The request headers
+   * @param {string} [options.body] - The request body
+   * @returns {Promise<{status: number, body: string}>} The response status and body
+   */
+  async send(method, url, { headers = {}, body } = {}) {
+    const tlsOptions = {};
+    if (url.protocol === 'https:') {
+      if (this.auth.trustCertsFilePath) tlsOptions.ca = await readFile(this.auth.trustCertsFilePath);
+      if (this.auth.type === 'tls') {
+        tlsOptions.cert = await readFile(this.auth.certificatePath);
+        tlsOptions.key = await readFile(this.auth.privateKeyPath);
+      }
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method,
+        headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.config.admin.timeoutMs,
+        ...tlsOptions
+      }, (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString() }));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Request to ${url.origin} timed out`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Fetches an OAuth2 access token with the client credentials flow
+   * The private key, as used by the Pulsar client, is a JSON file holding client_id and client_secret.
+   * @returns {Promise<string>} The access token
+   */
+  async fetchAccessToken() {
+    let { clientId, clientSecret } = this.auth;
+    if (!clientSecret) {
+      const keyFile = JSON.parse(await readFile(this.auth.privateKey.replace(/^file:\/\//, ''), 'utf8'));
+      clientId = keyFile.client_id;
+      clientSecret = keyFile.client_secret;
+    }
+
+    const issuerUrl = this.auth.issuerUrl.replace(/\/+$/, '');
+    const discovery = await this.send('GET', new URL(`${issuerUrl}/.well-known/openid-configuration`));
+    if (discovery.status !== 200) {
+      throw new Error(`OAuth2 discovery failed at ${issuerUrl} (HTTP ${discovery.status})`);
+    }
+
+    const form = new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret });
+    if (this.auth.audience) form.set('audience', this.auth.audience);
+    if (this.auth.scope) form.set('scope', this.auth.scope);
+
+    const response = await this.send('POST', new URL(JSON.parse(discovery.body).token_endpoint), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+    if (response.status !== 200) {
+      throw new Error(`OAuth2 token request failed (HTTP ${response.status})`);
+    }
+    return JSON.parse(response.body).access_token;
+  }
+
+  /**
+   * Returns the authorization headers of the profile's authentication
+   * @returns {Promise<object>} The headers
+   */
+  async getAuthHeaders() {
+    switch (this.auth.type) {
+      case 'token':
+        return { Authorization: `Bearer ${this.auth.token}` };
+      case 'basic':
+        return { Authorization: `Basic ${Buffer.from(`${this.auth.username}:${this.auth.password}`).toString('base64')}` };
+      case 'oauth2':
+        this.accessToken ??= await this.fetchAccessToken();
+        return { Authorization: `Bearer ${this.accessToken}` };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Calls an admin API endpoint
+   * @param {string} method - The HTTP method
+   * @param {string} path - The endpoint path, relative to /admin/v2
+   * @param {*} [body] - The request body, sent as JSON
+   * @returns {Promise<*>} The parsed response, null when empty
+   */
+  async request(method, path, body) {
+    const url = new URL(`${this.baseUrl.pathname.replace(/\/+$/, '')}/admin/v2${path}`, this.baseUrl);
+    const headers = { Accept: 'application/json', ...await this.getAuthHeaders() };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await this.send(method, url, { headers, body: body === undefined ? undefined : JSON.stringify(body) });
+
+    if (response.status >= 400) {
+      let reason = response.body;
+      try {
+        reason = JSON.parse(response.body).reason || reason;
+      } catch {
+        // Plain text error bodies are shown as is
+      }
+      throw new Error(`${method} ${url.pathname} failed (HTTP ${response.status}): ${reason || 'no details'}`);
+    }
+
+    return response.body ? JSON.parse(response.body) : null;
+  }
+
+  /**
+   * Returns the number of partitions of a topic
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @returns {Promise<number>} The number of partitions, 0 for a non-partitioned topic
+   */
+  async getPartitions(topicPath) {
+    const metadata = await this.request('GET', `/${topicPath}/partitions`);
+    return metadata.partitions;
+  }
+
+  /**
+   * Lists the persistent topics of a namespace, partitions being grouped under their topic
+   * @param {string} namespacePath - The namespace path, as tenant/namespace
+   * @returns {Promise<Array<{topic: string, partitions: number}>>} The topics, sorted by name
+   */
+  async listTopics(namespacePath) {
+    const [topics, partitionedTopics] = await Promise.all([
+      this.request('GET', `/persistent/${namespacePath}`),
+      this.request('GET', `/persistent/${namespacePath}/partitioned`)
+    ]);
+
+    const partitioned = await Promise.all(partitionedTopics.map(async (topic) => ({
+      topic,
+      partitions: await this.getPartitions(toTopicPath(topic))
+    })));
+    const standalone = topics
+      .filter((topic) => !partitionedTopics.includes(topic.replace(/-partition-\d+$/, '')))
+      .map((topic) => ({ topic, partitions: 0 }));
+
+    return [...partitioned, ...standalone].sort((a, b) => a.topic.localeCompare(b.topic));
+  }
+
+  /**
+   * Creates a topic
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @param {number} partitions - The number of partitions, 0 for a non-partitioned topic
+   * @returns {Promise<void>}
+   */
+  async createTopic(topicPath, partitions) {
+    if (partitions > 0) {
+      await this.request('PUT', `/${topicPath}/partitions`, partitions);
+    } else {
+      await this.request('PUT', `/${topicPath}`);
+    }
+  }
+
+  /**
+   * Deletes a topic, with all its partitions
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @returns {Promise<void>}
+   */
+  async deleteTopic(topicPath) {
+    const partitions = await this.getPartitions(topicPath);
+    await this.request('DELETE', `/${topicPath}${partitions > 0 ? '/partitions' : ''}`);
+  }
+
+  /**
+   * Returns the statistics of a topic, aggregated over partitions for partitioned topics
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @returns {Promise<object>} The topic statistics
+   */
+  async getTopicStats(topicPath) {
+    const partitions = await this.getPartitions(topicPath);
+    return this.request('GET', `/${topicPath}/${partitions > 0 ? 'partitioned-stats' : 'stats'}`);
+  }
+
+  /**
+   * Lists the subscriptions of a topic with their backlog, from the topic statistics
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @returns {Promise<Array<{subscription: string, type: string, backlog: number, consumers: number}>>} The subscriptions, sorted by name
+   */
+  async listSubscriptions(topicPath) {
+    const stats = await this.getTopicStats(topicPath);
+    return Object.entries(stats.subscriptions || {})
+      .map(([subscription, details]) => ({
+        subscription,
+        type: details.type ?? null,
+        backlog: details.msgBacklog ?? 0,
+        consumers: (details.consumers || []).length
+      }))
+      .sort((a, b) => a.subscription.localeCompare(b.subscription));
+  }
+
+  /**
+   * Moves the cursor of a subscription to a publish time or to a message, which is delivered again
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @param {string} subscription - The subscription name
+   * @param {number|object} to - The timestamp in milliseconds since epoch, or the message ID parts
+   * @returns {Promise<void>}
+   */
+  async resetCursor(topicPath, subscription, to) {
+    const path = `/${topicPath}/subscription/${encodeURIComponent(subscription)}/resetcursor`;
+    if (typeof to === 'number') {
+      await this.request('POST', `${path}/${to}`);
+      return;
+    }
+
+    await this.request('POST', path, {
+      ledgerId: Number(to.ledgerId),
+      entryId: Number(to.entryId),
+      partitionIndex: to.partition,
+      batchIndex: to.batchIndex
+    });
+  }
+
+  /**
+   * Skips messages of a subscription's backlog
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @param {string} subscription - The subscription name
+   * @param {number} count - The number of messages to skip
+   * @returns {Promise<void>}
+   */
+  async skipMessages(topicPath, subscription, count) {
+    await this.request('POST', `/${topicPath}/subscription/${encodeURIComponent(subscription)}/skip/${count}`);
+  }
+
+  /**
+   * Skips the whole backlog of a subscription
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @param {string} subscription - The subscription name
+   * @returns {Promise<void>}
+   */
+  async clearBacklog(topicPath, subscription) {
+    await this.request('POST', `/${topicPath}/subscription/${encodeURIComponent(subscription)}/skip_all`);
+  }
+
+  /**
+   * Deletes a subscription, which fails while consumers are connected
+   * @param {string} topicPath - The topic path, as domain/tenant/namespace/topic
+   * @param {string} subscription - The subscription name
+   * @returns {Promise<void>}
+   */
+  async deleteSubscription(topicPath, subscription) {
+    await this.request('DELETE', `/${topicPath}/subscription/${encodeURIComponent(subscription)}`);
+  }
+
+  /**
+   * Lists the namespaces of a tenant
+   * @param {string} tenant - The tenant
+   * @returns {Promise<string[]>} The namespaces, as tenant/namespace
+   */
+  async listNamespaces(tenant) {
+    return this.request('GET', `/namespaces/${tenant}`);
+  }
+}
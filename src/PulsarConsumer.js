@@ -1,50 +1,152 @@
+import { EventEmitter } from 'events';
 import Pulsar from 'pulsar-client';
+import { MessageFilter } from './MessageFilter.js';
+import { PulsarProducer } from './PulsarProducer.js';
+import { ReaderCheckpoint } from './ReaderCheckpoint.js';
+import { LatencyHistogram } from './LatencyHistogram.js';
+import { TopicStats } from './TopicStats.js';
+import { toMessageRecord } from './messageRecord.js';
+import { compareMessageIds, formatMessageId, parseMessageId, previousMessageId, serializeMessageId } from './messageId.js';
 
 /**
- * Manages the Pulsar consumer
+ * Checks whether an error comes from a receive call that timed out
+ * @param {Error} err - The error to check
+ * @returns {boolean} True for timeouts
+ */
+export function isTimeoutError(err) {
+  return err.name === 'TimeoutError' || /TimeOut/i.test(err.message);
+}
+
+/**
+ * Manages the Pulsar consumer or reader, iterated as an async iterable of decoded messages
+ * Emits resume when a reader starts from its checkpoint, ready once subscribed or positioned, end when the
+ * iteration stops, checkpoint when the reader position is saved, and close.
  * @class
  * @property {Pulsar.Client} client - The Pulsar client instance
  * @property {object} config - The configuration object
- * @property {ArgumentParser} argParser - The argument parser instance
  * @property {Consumer|Reader} consumer - The consumer or reader instance
+ * @property {boolean} isReader - Flag indicating a reader rather than a subscription
+ * @property {string|null} topic - The full topic name, names or pattern consumed, once subscribed or positioned
+ * @property {SchemaCodec|null} schema - The schema used to decode payloads
+ * @property {MessageFilter} filter - The filter selecting the messages to yield
+ * @property {{maxMessages?: number|null, until?: number|null, idleTimeout?: number|null, untilEnd?: boolean}} bounds - The bounds stopping the iteration
+ * @property {string} subscription - The subscription name
+ * @property {string} initialPosition - Where a new subscription starts, Earliest or Latest
+ * @property {{ackMode: string, cumulative: boolean, nackDelayMs: number, maxRedeliveries: number|null}} ackOptions - The acknowledgment options
+ * @property {PulsarProducer|null} retryProducer - The producer of the retry-letter topic, if any
+ * @property {PulsarProducer|null} deadLetterProducer - The producer of the dead-letter topic for exhausted retries, if any
+ * @property {ReaderCheckpoint|null} checkpoint - The checkpoint of the reader, if any
+ * @property {object|null} lastMessageId - The ID parts of the last message processed by the reader
+ * @property {{received: number, reason: string}|null} outcome - The number of yielded messages and why the iteration stopped
+ * @property {{received: number, matched: number, acked: number, nacked: number, bytes: number, errors: object}} stats - The session counters, errors by type
+ * @property {LatencyHistogram} receiveLatencies - The time from publish to receive of received messages
+ * @property {TopicStats} topicStats - The counters of each topic messages are received from
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @property {Promise<null>} stopped - Resolves when a shutdown is requested
+ * @exports PulsarConsumer
  */
-export class PulsarConsumer {
+export class PulsarConsumer extends EventEmitter {
   /**
    * Creates an instance of PulsarConsumer
    * @param {Pulsar.Client} client - The Pulsar client instance
    * @param {object} config - The configuration object
-   * @param {ArgumentParser} argParser - The argument parser instance
+   * @param {object} [options={}] - The consumer options
+   * @param {object} [options.filters] - The filters selecting the messages to yield, as accepted by MessageFilter
+   * @param {object} [options.bounds] - The bounds stopping the iteration: maxMessages, until, idleTimeout and untilEnd
+   * @param {string} [options.subscription] - The subscription name
+   * @param {string} [options.initialPosition] - Where a new subscription starts, Earliest or Latest
+   * @param {string} [options.ackMode] - The ack mode: auto, none or nack
+   * @param {boolean} [options.cumulative=false] - Whether acknowledgments are cumulative
+   * @param {number} [options.nackDelayMs] - The redelivery delay of negatively acknowledged messages
+   * @param {number|null} [options.maxRedeliveries=null] - The deliveries before a message goes to the dead-letter topic
+   * @param {string|null} [options.checkpoint=null] - The checkpoint file of a reader
+   * @param {SchemaCodec|null} [schema=null] - The schema used to decode payloads
    */
-  constructor(client, config, argParser) {
-    this.argParser = argParser;
+  constructor(client, config, options = {}, schema = null) {
+    super();
     this.client = client;
     this.config = config;
     this.consumer = null;
+    this.isReader = false;
+    this.topic = null;
+    this.schema = schema;
+    this.filter = new MessageFilter(options.filters, schema);
+    this.bounds = options.bounds || {};
+    this.subscription = options.subscription || config.subscription.defaultName;
+    this.initialPosition = options.initialPosition || 'Latest';
+    this.ackOptions = {
+      ackMode: options.ackMode || config.consumer.defaultAckMode,
+      cumulative: Boolean(options.cumulative),
+      nackDelayMs: options.nackDelayMs || config.consumer.defaultNackDelayMs,
+      maxRedeliveries: options.maxRedeliveries ?? null
+    };
+    this.retryProducer = null;
+    this.deadLetterProducer = null;
+    this.checkpoint = options.checkpoint ? new ReaderCheckpoint(options.checkpoint) : null;
+    this.lastMessageId = null;
+    this.outcome = null;
+    this.stats = { received: 0, matched: 0, acked: 0, nacked: 0, bytes: 0, errors: {} };
+    this.receiveLatencies = new LatencyHistogram();
+    this.topicStats = new TopicStats();
+    this.stopRequested = false;
+    this.stopped = new Promise((resolve) => { this.resolveStop = resolve; });
   }
 
   /**
-   * Creates a consumer or reader depending on the parameters
+   * Requests the iteration to stop, the message being handled is settled first
+   */
+  stop() {
+    this.stopRequested = true;
+    this.resolveStop(null);
+  }
+
+  /**
+   * Subscribes to the topics with the given subscription type
+   * @param {{topic?: string, topics?: string[], topicsPattern?: string}} topics - The full topic name, names or pattern
+   * @param {string} subscriptionType - The subscription type
+   * @param {{retryTopic?: string|null, deadLetterTopic?: string|null}} [letterTopics={}] - The full retry and dead-letter topic names
+   * @returns {Promise<void>}
+   */
+  async subscribe(topics, subscriptionType, letterTopics = {}) {
+    this.consumer = await this.createSubscriber(topics, subscriptionType, letterTopics);
+  }
+
+  /**
+   * Opens a reader on a topic
+   * A recorded checkpoint takes precedence over the start position, the checkpointed message being already processed.
    * @param {string} topicName - The full topic name
-   * @param {string|null} subscriptionType - The subscription type
-   * @param {string} [readPosition='latest'] - The read position
+   * @param {string|number|object} [since='earliest'] - The start position, timestamp or message ID parts
+   * @param {boolean} [inclusive=false] - Whether the message of a message ID position is read too
    * @returns {Promise<void>}
    */
-  async create(topicName, subscriptionType, readPosition = 'latest') {
-    this.consumer = this.argParser.hasParam('since')
-      ? await this.createReader(topicName, this.argParser.getSinceValue())
-      : await this.createSubscriber(topicName, subscriptionType);
+  async openReader(topicName, since = 'earliest', inclusive = false) {
+    const checkpointed = this.checkpoint && await this.checkpoint.load();
+    if (checkpointed) {
+      this.emit('resume', { checkpoint: this.checkpoint.path });
+      this.consumer = await this.createReader(topicName, checkpointed);
+    } else {
+      this.consumer = await this.createReader(topicName, since, inclusive);
+    }
   }
 
   /**
    * Creates a reader starting from a specified position
    * @param {string} topicName - The full topic name
-   * @param {string|number} sinceValue - The start position or timestamp
+   * @param {string|number|object} sinceValue - The start position, timestamp or message ID parts
+   * @param {boolean} [inclusive=false] - Whether the message of a message ID position is read too
    * @returns {Promise<Reader>}
    */
-  async createReader(topicName, sinceValue) {
+  async createReader(topicName, sinceValue, inclusive = false) {
+    this.isReader = true;
+    this.topic = topicName;
     let startMessageId;
 
-    if (typeof sinceValue === 'string') {
+    if (typeof sinceValue === 'object') {
+      // Readers start after their start message, so an included message is reached from the position before it
+      const start = inclusive ? previousMessageId(sinceValue) : sinceValue;
+      startMessageId = Pulsar.MessageId.deserialize(serializeMessageId(start));
+      sinceValue = `message ${formatMessageId(sinceValue)} (${inclusive ? 'included' : 'excluded'})`;
+    } else if (typeof sinceValue === 'string') {
 
       startMessageId = sinceValue === 'earliest'
         ? Pulsar.MessageId.earliest()
@@ -65,7 +167,7 @@ export class PulsarConsumer {
 
       if (sinceValue < now) {
         await reader.seekTimestamp(sinceValue);
-        console.log(`Reader successfully created, starting from: ${new Date(sinceValue).toISOString()}`);
+        this.emit('ready', { topic: topicName, position: new Date(sinceValue).toISOString() });
         return reader;
       }
       else {
@@ -73,77 +175,298 @@ export class PulsarConsumer {
       }
     }
 
-    console.log(`Reader successfully created, starting from: ${sinceValue}`);
+    this.emit('ready', { topic: topicName, position: sinceValue });
     return reader;
   }
 
   /**
    * Creates a subscriber with the given subscription type
-   * @param {string} topicName - The full topic name
+   * @param {{topic?: string, topics?: string[], topicsPattern?: string}} topics - The full topic name, names or pattern
    * @param {string} subscriptionType - The subscription type
+   * @param {{retryTopic?: string|null, deadLetterTopic?: string|null}} [letterTopics={}] - The full retry and dead-letter topic names
    * @returns {Promise<Consumer>}
    */
-  async createSubscriber(topicName, subscriptionType) {
+  async createSubscriber(topics, subscriptionType, letterTopics = {}) {
+    const { nackDelayMs, maxRedeliveries } = this.ackOptions;
+    const { retryTopic, deadLetterTopic } = letterTopics;
+    this.topic = topics.topic || topics.topicsPattern || topics.topics.join(',');
+
+    if (retryTopic) {
+      this.retryProducer = new PulsarProducer(this.client, this.config);
+      await this.retryProducer.create(retryTopic);
+      if (deadLetterTopic) {
+        this.deadLetterProducer = new PulsarProducer(this.client, this.config);
+        await this.deadLetterProducer.create(deadLetterTopic);
+      }
+    }
+
     const subscriber = await this.client.subscribe({
       ackTimeoutMs: this.config.pulsar.timeouts.ackMessage,
-      subscription: this.argParser.getSubscriptionName(),
-      subscriptionInitialPosition: 'Latest',
+      nAckRedeliverTimeoutMs: nackDelayMs,
+      subscription: this.subscription,
+      subscriptionInitialPosition: this.initialPosition,
       subscriptionType: subscriptionType,
-      topic: topicName
+      ...topics,
+      // With a retry topic, exhausted retries are dead-lettered by retryLater, not by the client
+      ...(deadLetterTopic && !retryTopic && { deadLetterPolicy: { deadLetterTopic, maxRedeliverCount: maxRedeliveries } }),
+      ...(this.schema && { schema: this.schema.getSchemaInfo() })
     });
 
-    console.log(`Consumer successfully created with subscription ${this.argParser.getSubscriptionName()} (${subscriptionType})`);
+    this.emit('ready', { ...topics, subscription: this.subscription, subscriptionType });
     return subscriber;
   }
 
   /**
-   * Receives messages in an infinite loop
+   * Counts an error by type: receive, decode for payloads the schema cannot decode, or ack for failed settlements
+   * @param {string} type - The error type
+   * @param {Message} [msg] - The message in error, receive errors are counted on the subscribed topics
+   */
+  countError(type, msg) {
+    this.stats.errors[type] = (this.stats.errors[type] || 0) + 1;
+    this.topicStats.countError(msg ? msg.getTopicName() : this.topic, type);
+  }
+
+  /**
+   * Counts a received message, its size and the time since it was published
+   * @param {Message} msg - The received message
+   */
+  recordReceived(msg) {
+    this.stats.received++;
+    this.stats.bytes += msg.getData().length;
+    this.receiveLatencies.record(Date.now() - msg.getPublishTimestamp());
+    this.topicStats.recordReceived(msg);
+  }
+
+  /**
+   * Returns why the iteration stops before the next message, if a bound is reached
+   * @param {number} received - The number of messages yielded so far
+   * @param {number} lastMessageAt - The time of the last received message, in milliseconds since epoch
+   * @returns {Promise<string|null>} The reason, null to go on
+   */
+  async getStopReason(received, lastMessageAt) {
+    const { maxMessages, until, idleTimeout, untilEnd } = this.bounds;
+
+    if (this.stopRequested) return 'signal';
+    if (maxMessages && received >= maxMessages) return 'max-messages';
+    if (until && Date.now() >= until) return 'until';
+    if (idleTimeout && Date.now() - lastMessageAt >= idleTimeout) return 'idle-timeout';
+    if (this.isReader && untilEnd && !(await this.consumer.hasNext())) return 'end';
+    return null;
+  }
+
+  /**
+   * Yields the received messages matching the filter, decoded, until a bound is reached, or forever without bounds
+   * With a time bound, receive calls time out regularly so that deadlines are checked even without traffic.
+   * Only messages matching the filter count towards maxMessages. A yielded message is settled when the iteration
+   * resumes or is left, other messages right away. Once over, the outcome is stored and emitted with end, its reason
+   * being interrupted when the iteration was left early or failed.
+   * @returns {AsyncGenerator<object>} The message records, as returned by toMessageRecord
+   */
+  async *messages() {
+    const receiveMethod = this.isReader ? 'readNext' : 'receive';
+    const { until, idleTimeout } = this.bounds;
+    const pollTimeout = until || idleTimeout ? this.config.consumer.pollIntervalMs : undefined;
+
+    let received = 0;
+    let reason = 'interrupted';
+    let lastMessageAt = Date.now();
+
+    try {
+      while (true) {
+        const stopReason = await this.getStopReason(received, lastMessageAt);
+        if (stopReason) {
+          reason = stopReason;
+          return;
+        }
+
+        let msg;
+        try {
+          // A pending receive is abandoned on shutdown, its rejection when the consumer closes is ignored
+          const next = this.consumer[receiveMethod](pollTimeout);
+          next.catch(() => {});
+          msg = await Promise.race([next, this.stopped]);
+        } catch (err) {
+          if (isTimeoutError(err)) continue;
+          this.countError('receive');
+          throw err;
+        }
+
+        if (!msg) {
+          reason = 'signal';
+          return;
+        }
+
+        // Messages published after the deadline are left unacknowledged
+        if (until && msg.getPublishTimestamp() > until) {
+          reason = 'until';
+          return;
+        }
+
+        lastMessageAt = Date.now();
+        this.recordReceived(msg);
+        const isMatch = this.filter.matches(msg);
+        try {
+          if (isMatch) {
+            this.stats.matched++;
+            received++;
+            const record = toMessageRecord(msg, this.schema);
+            if (record.decodeError) this.countError('decode', msg);
+            yield record;
+          }
+        } finally {
+          await this.completeMessage(msg, isMatch);
+        }
+      }
+    } finally {
+      this.outcome = { received, reason };
+      this.emit('end', this.outcome);
+    }
+  }
+
+  /**
+   * Iterates the received messages, as yielded by messages
+   * @returns {AsyncGenerator<object>} The message records
+   */
+  [Symbol.asyncIterator]() {
+    return this.messages();
+  }
+
+  /**
+   * Checks whether a message comes after the end of an export range
+   * @param {Message} msg - The read message
+   * @param {number|object|null} to - The end timestamp or message ID parts, null for the end of the topic
+   * @returns {boolean} True if the message is out of range
+   */
+  isAfterRange(msg, to) {
+    if (to === null) return false;
+    if (typeof to === 'number') return msg.getPublishTimestamp() > to;
+    return compareMessageIds(parseMessageId(msg.getMessageId().toString()), to) > 0;
+  }
+
+  /**
+   * Writes the messages of the reader matching the filter to an archive, until the end of the range or of the topic
+   * @param {ArchiveWriter} writer - The archive writer
+   * @param {number|object|null} to - The end timestamp or message ID parts, null for the end of the topic
+   * @returns {Promise<number>} The number of exported messages
+   */
+  async exportMessages(writer, to) {
+    let exported = 0;
+
+    while (!this.stopRequested && await this.consumer.hasNext()) {
+      const msg = await this.consumer.readNext();
+      if (this.isAfterRange(msg, to)) break;
+
+      this.recordReceived(msg);
+      if (!this.filter.matches(msg)) continue;
+
+      this.stats.matched++;
+      await writer.write({
+        payload: msg.getData(),
+        key: msg.getPartitionKey() || null,
+        properties: msg.getProperties(),
+        eventTime: msg.getEventTimestamp() || null,
+        publishTime: msg.getPublishTimestamp(),
+        messageId: formatMessageId(parseMessageId(msg.getMessageId().toString()))
+      });
+      exported++;
+    }
+
+    return exported;
+  }
+
+  /**
+   * Republishes a message to the retry-letter topic, delayed by the nack delay, then acknowledges it
+   * The retry properties are those of the Java client, so that retries are counted across clients.
+   * Once the retries exceed --max-redeliveries, the message goes to the dead-letter topic instead.
+   * @param {Message} msg - The received message
    * @returns {Promise<void>}
    */
-  async receiveMessages() {
-    const isReader = this.argParser.hasParam('since');
-    const receiveMethod = isReader ? 'readNext' : 'receive';
+  async retryLater(msg) {
+    const { nackDelayMs, maxRedeliveries } = this.ackOptions;
+    const original = msg.getProperties();
+    const retries = (parseInt(original.RECONSUMETIMES) || 0) + 1;
 
-    while (true) {
-      try {
-        const msg = await this.consumer[receiveMethod]();
-        await this.handleMessage(msg, isReader);
-      } catch (err) {
-        if (err.name === 'TimeoutError') continue;
-        throw err;
+    const properties = {
+      ...original,
+      REAL_TOPIC: original.REAL_TOPIC || msg.getTopicName(),
+      ORIGIN_MESSAGE_ID: original.ORIGIN_MESSAGE_ID || msg.getMessageId().toString()
+    };
+    const record = {
+      payload: msg.getData(),
+      key: msg.getPartitionKey() || undefined,
+      eventTime: msg.getEventTimestamp() || undefined
+    };
+
+    if (this.deadLetterProducer && retries > maxRedeliveries) {
+      await this.deadLetterProducer.send({ ...record, properties });
+    } else {
+      await this.retryProducer.send({
+        ...record,
+        properties: { ...properties, RECONSUMETIMES: String(retries), DELAY_TIME: String(nackDelayMs) },
+        deliverAfter: nackDelayMs
+      });
+    }
+    await this.consumer.acknowledge(msg);
+  }
+
+  /**
+   * Settles a handled message according to the ack mode
+   * Messages that do not match the filter are always acknowledged.
+   * @param {Message} msg - The received message
+   * @param {boolean} isMatch - Flag indicating the message matched the filter
+   * @returns {Promise<void>}
+   */
+  async settleMessage(msg, isMatch) {
+    const { ackMode, cumulative } = this.ackOptions;
+
+    if (!isMatch || ackMode === 'auto') {
+      await (cumulative ? this.consumer.acknowledgeCumulative(msg) : this.consumer.acknowledge(msg));
+      this.stats.acked++;
+      this.topicStats.recordSettled(msg, 'acked');
+    } else if (ackMode === 'nack') {
+      if (this.retryProducer) {
+        await this.retryLater(msg);
+      } else {
+        this.consumer.negativeAcknowledge(msg);
       }
+      this.stats.nacked++;
+      this.topicStats.recordSettled(msg, 'nacked');
     }
   }
 
   /**
-   * Handles a received message
+   * Completes a handled message: readers record it as processed, subscriptions settle it according to the ack mode
    * @param {Message} msg - The received message
-   * @param {boolean} isReader - Flag indicating if this is a reader
+   * @param {boolean} isMatch - Flag indicating the message matched the filter
    * @returns {Promise<void>}
    */
-  async handleMessage(msg, isReader) {
-    const messageId = msg.getMessageId();
-    const timestamp = new Date(msg.getPublishTimestamp()).toISOString();
-    console.log(
-      `[${timestamp}]`,
-      msg.getData().toString(),
-      `(key: ${msg.getPartitionKey()},`,
-      `ID: ${messageId})`
-    );
-
-    if (!isReader) {
-      await this.consumer.acknowledge(msg);
+  async completeMessage(msg, isMatch) {
+    if (this.isReader) {
+      this.lastMessageId = parseMessageId(msg.getMessageId().toString());
+    } else {
+      try {
+        await this.settleMessage(msg, isMatch);
+      } catch (err) {
+        this.countError('ack', msg);
+        throw err;
+      }
     }
   }
 
   /**
-   * Closes the consumer
+   * Closes the consumer, after recording the position of a reader in its checkpoint file if any
    * @returns {Promise<void>}
    */
   async close() {
-    if (this.consumer) {
-      await this.consumer.close();
-      console.log('Consumer closed');
+    const lastMessageId = this.lastMessageId && formatMessageId(this.lastMessageId);
+    if (lastMessageId && this.checkpoint) {
+      await this.checkpoint.save(this.lastMessageId);
+      this.emit('checkpoint', { path: this.checkpoint.path, messageId: lastMessageId });
     }
+
+    await this.consumer?.close();
+    await this.retryProducer?.close();
+    await this.deadLetterProducer?.close();
+    this.emit('close', { lastMessageId });
   }
 }
@@ -1,37 +1,71 @@
+import { EventEmitter } from 'events';
 import Pulsar from 'pulsar-client';
 import { CONFIG } from './config.js';
 import { ConfigManager } from './ConfigManager.js';
+import { SchemaCodec } from './SchemaCodec.js';
+import { Benchmark } from './Benchmark.js';
+import { ConsumerBenchmark } from './ConsumerBenchmark.js';
+import { ArchiveReader, ArchiveWriter } from './TopicArchive.js';
+import { TopicMirror } from './TopicMirror.js';
+import { MetricsServer } from './MetricsServer.js';
+import { PulsarAdmin, toAdminUrl } from './PulsarAdmin.js';
+import { formatMessageId } from './messageId.js';
+import { resolveTopicName, toTopicPath } from './topicName.js';
 import { PulsarProducer } from './PulsarProducer.js';
 import { PulsarConsumer } from './PulsarConsumer.js';
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Log levels of the Pulsar client, indexed by Pulsar.LogLevel value
+const CLIENT_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
 /**
  * Manages the Pulsar client, producer, and consumer
+ * Options are plain objects, and progress is reported through events rather than output: connecting when a client
+ * is created, log with each log entry of the Pulsar client, producer, consumer, mirror and benchmark with each
+ * component before it starts, so that listeners can be attached to it, metrics once the metrics endpoint is
+ * served, and close once cleaned up.
  * @class
  * @property {object} config - The configuration object
  * @property {ConfigManager} configManager - The configuration manager instance
  * @property {Pulsar.Client} client - The Pulsar client instance
+ * @property {Pulsar.Client|null} destinationClient - The client of the mirror destination, when it uses another profile
  * @property {PulsarProducer} producer - The Pulsar producer instance
  * @property {PulsarConsumer} consumer - The Pulsar consumer instance
- * @property {ArgumentParser} argParser - The argument parser instance
+ * @property {Benchmark|ConsumerBenchmark} benchmark - The running benchmark, if any
+ * @property {TopicMirror} mirror - The running mirror, if any
+ * @property {MetricsServer|null} metricsServer - The server of the metrics endpoint, if any
+ * @property {number} startedAt - The session start time, in milliseconds since epoch
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
  * @exports PulsarManager
 */
-export class PulsarManager {
+export class PulsarManager extends EventEmitter {
   /**
    * Creates an instance of PulsarManager
-   * @param {object} config - The configuration object
-   * @param {ArgumentParser} argParser - The argument parser instance
+   * @param {object} [config=CONFIG] - The configuration object
+   * @param {object} [options={}] - The connection options
+   * @param {string|null} [options.profile=null] - The profile of the configuration file to use
+   * @param {object} [options.connection] - The connection itself, {serviceUrl, namespace, auth}, instead of a profile
+   * @param {boolean} [options.prompt=false] - Whether the connection details are prompted for without configuration file
    */
-  constructor(config, argParser) {
+  constructor(config = CONFIG, { profile = null, connection, prompt = false } = {}) {
+    super();
     this.config = config;
-    this.configManager = new ConfigManager();
+    this.configManager = new ConfigManager(profile, true, prompt);
+    if (connection) this.configManager.setProfile(connection);
     this.client = null;
+    this.destinationClient = null;
     this.producer = null;
     this.consumer = null;
-    this.argParser = argParser;
+    this.benchmark = null;
+    this.mirror = null;
+    this.metricsServer = null;
+    this.startedAt = Date.now();
+    this.stopRequested = false;
   }
 
   /**
-   * Retrieves the namespace from the user configuration
+   * Retrieves the namespace from the selected profile
    * @returns {Promise<string>} The namespace
    */
   async getNamespace() {
@@ -40,76 +74,453 @@ export class PulsarManager {
   }
 
   /**
-   * Constructs the full topic name using the namespace and suffix
+   * Constructs the full name of a topic, short names being relative to the namespace
+   * @param {string} [topic=this.config.defaultTopic] - The topic name
+   * @param {{nonPersistent?: boolean, partition?: number|null}} [options={}] - How the topic name is resolved
    * @returns {Promise<string>} The full topic name
    */
-  async getTopicName() {
-    const namespace = await this.getNamespace();
-    const suffix = this.argParser.getValue('topic') || this.config.defaultTopic;
-    return `${namespace}${suffix}`;
+  async resolveTopic(topic = this.config.defaultTopic, { nonPersistent = false, partition = null } = {}) {
+    return resolveTopicName(topic, await this.getNamespace(), { nonPersistent, partition });
+  }
+
+  /**
+   * Loads a schema, if any
+   * @param {string|null} [type=null] - The schema type, null without schema
+   * @param {string|null} [file=null] - The schema definition file
+   * @returns {Promise<SchemaCodec|null>} The schema codec, or null without schema
+   */
+  async loadSchema(type = null, file = null) {
+    if (!type) return null;
+    return SchemaCodec.fromFile(type, file);
+  }
+
+  /**
+   * Builds the Pulsar authentication object matching the profile's auth settings
+   * @param {object} auth - The authentication settings
+   * @returns {object|undefined} The Pulsar authentication object, undefined for unauthenticated brokers
+   */
+  createAuthentication(auth) {
+    switch (auth.type) {
+      case 'token':
+        return new Pulsar.AuthenticationToken({ token: auth.token });
+      case 'tls':
+        return new Pulsar.AuthenticationTls({
+          certificatePath: auth.certificatePath,
+          privateKeyPath: auth.privateKeyPath
+        });
+      case 'oauth2':
+        return new Pulsar.AuthenticationOauth2({
+          type: 'client_credentials',
+          issuer_url: auth.issuerUrl,
+          client_id: auth.clientId,
+          client_secret: auth.clientSecret,
+          private_key: auth.privateKey,
+          audience: auth.audience,
+          scope: auth.scope
+        });
+      case 'basic':
+        return new Pulsar.AuthenticationBasic({ username: auth.username, password: auth.password });
+      default:
+        return undefined;
+    }
   }
 
   /**
-   * Connects to the Pulsar broker
+   * Connects to the Pulsar broker described by the selected profile
    * @param {number} [ioThreads=CONFIG.defaultThreads] - Number of IO threads
    * @returns {Promise<void>}
    */
   async connect(ioThreads = CONFIG.defaultThreads) {
-    const userConfig = await this.configManager.loadUserConfig();
+    this.client = this.createClient(await this.configManager.loadUserConfig(), ioThreads);
+  }
+
+  /**
+   * Creates a client for the broker described by a profile
+   * @param {object} userConfig - The resolved profile
+   * @param {number} ioThreads - Number of IO threads
+   * @returns {Pulsar.Client} The Pulsar client instance
+   */
+  createClient(userConfig, ioThreads) {
     const clientConfig = {
       serviceUrl: userConfig.serviceUrl,
-      authentication: new Pulsar.AuthenticationToken({ token: userConfig.token }),
+      authentication: this.createAuthentication(userConfig.auth),
       operationTimeoutSeconds: this.config.pulsar.timeouts.operation,
-      ioThreads
+      ioThreads,
+      log: (level, file, line, message) => this.emit('log', { level: CLIENT_LOG_LEVELS[level], message, file, line })
     };
 
-    this.client = new Pulsar.Client(clientConfig);
-    console.log('Attempting to connect to Pulsar broker...');
+    if (userConfig.auth.trustCertsFilePath) {
+      clientConfig.tlsTrustCertsFilePath = userConfig.auth.trustCertsFilePath;
+    }
+
+    this.emit('connecting', { profile: userConfig.profile, auth: userConfig.auth.type, serviceUrl: userConfig.serviceUrl });
+    return new Pulsar.Client(clientConfig);
   }
 
   /**
-   * Creates a producer with the provided compression type
-   * @param {string} compression - The compression type
-   * @returns {Promise<void>}
+   * Adds a component to the session: listeners are notified before it starts, and a pending stop request applies to it
+   * @param {string} event - The event naming the component: producer, consumer, mirror or benchmark
+   * @param {PulsarProducer|PulsarConsumer|TopicMirror|Benchmark|ConsumerBenchmark} component - The component
+   * @returns {object} The component
    */
-  async createProducer(compression) {
-    const fullTopicName = await this.getTopicName();
-    this.producer = new PulsarProducer(this.client, this.config);
-    await this.producer.create(fullTopicName, compression);
+  attach(event, component) {
+    this.emit(event, component);
+    if (this.stopRequested) component.stop();
+    return component;
   }
 
   /**
-   * Creates a consumer with the specified subscription type and read position
-   * @param {string|null} subscriptionType - The subscription type
-   * @param {string|number} readPosition - The read position or timestamp
-   * @returns {Promise<void>}
+   * Returns the producers and consumers of the session, including those of the consumer's retry and dead-letter
+   * topics, of the mirror and of the benchmark
+   * @returns {{producers: PulsarProducer[], consumers: Array<PulsarConsumer|TopicMirror>}} The components created so far
    */
-  async createConsumer(subscriptionType, readPosition) {
-    const fullTopicName = await this.getTopicName();
-    this.consumer = new PulsarConsumer(this.client, this.config, this.argParser);
-    await this.consumer.create(fullTopicName, subscriptionType, readPosition);
+  getComponents() {
+    const producers = [
+      this.producer,
+      this.consumer?.retryProducer,
+      this.consumer?.deadLetterProducer,
+      this.mirror?.producer,
+      ...(this.benchmark?.producers || [])
+    ];
+    return { producers: producers.filter(Boolean), consumers: [this.consumer, this.mirror].filter(Boolean) };
+  }
+
+  /**
+   * Serves the metrics of the session's producers and consumers as a Prometheus text endpoint, until cleaned up
+   * @param {number} port - The port to listen on, on all interfaces
+   * @returns {Promise<MetricsServer>} The metrics server
+   */
+  async serveMetrics(port) {
+    this.metricsServer = new MetricsServer(this, this.config);
+    const boundPort = await this.metricsServer.listen(port);
+    this.emit('metrics', { port: boundPort, path: this.config.metrics.path });
+    return this.metricsServer;
+  }
+
+  /**
+   * Creates a producer
+   * @param {object} [options={}] - The producer options
+   * @param {string} [options.topic] - The topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to produce to
+   * @param {string} [options.compression=CONFIG.defaultCompression] - The compression type
+   * @param {string|null} [options.schema=null] - The schema type of the topic
+   * @param {string|null} [options.schemaFile=null] - The schema definition file
+   * @returns {Promise<PulsarProducer>} The created producer
+   */
+  async createProducer({ topic, nonPersistent, partition, compression = CONFIG.defaultCompression, schema = null, schemaFile = null } = {}) {
+    const fullTopicName = await this.resolveTopic(topic, { nonPersistent, partition });
+    this.producer = this.attach('producer', new PulsarProducer(this.client, this.config));
+    await this.producer.create(fullTopicName, compression, await this.loadSchema(schema, schemaFile));
+    return this.producer;
+  }
+
+  /**
+   * Creates a consumer subscribed to one or several topics, or to a topic pattern
+   * @param {object} [options={}] - The consumer options, the others being those of PulsarConsumer
+   * @param {string|string[]} [options.topics] - The topic name or names, the default topic if unset
+   * @param {string|null} [options.topicPattern=null] - The regular expression of the topics to subscribe to instead
+   * @param {boolean} [options.nonPersistent=false] - Whether short topic names are non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to consume
+   * @param {string} [options.subscription] - The subscription name
+   * @param {string} [options.subscriptionType=CONFIG.defaultType] - The subscription type
+   * @param {string} [options.initialPosition] - Where a new subscription starts, Earliest or Latest
+   * @param {string|null} [options.deadLetterTopic=null] - The dead-letter topic used with maxRedeliveries
+   * @param {string|null} [options.retryTopic=null] - The retry-letter topic of negatively acknowledged messages
+   * @param {string|null} [options.schema=null] - The schema type of the topics
+   * @param {string|null} [options.schemaFile=null] - The schema definition file
+   * @returns {Promise<PulsarConsumer>} The subscribed consumer
+   */
+  async createConsumer(options = {}) {
+    const {
+      topicPattern = null,
+      nonPersistent = false,
+      partition = null,
+      subscription = this.config.subscription.defaultName,
+      subscriptionType = this.config.defaultType,
+      initialPosition = this.config.subscription.defaultInitialPosition === 'earliest' ? 'Earliest' : 'Latest',
+      maxRedeliveries = null,
+      deadLetterTopic = null,
+      retryTopic = null
+    } = options;
+    const namespace = await this.getNamespace();
+    const requestedTopics = [options.topics || []].flat();
+    const shortTopics = requestedTopics.length > 0 ? requestedTopics : [this.config.defaultTopic];
+    const topicNames = shortTopics.map((topic) => resolveTopicName(topic, namespace, { nonPersistent, partition }));
+
+    const defaultDeadLetterTopic = `${shortTopics[0]}-${subscription}-DLQ`;
+    const letterTopics = {
+      retryTopic: retryTopic ? resolveTopicName(retryTopic, namespace) : null,
+      deadLetterTopic: maxRedeliveries ? resolveTopicName(deadLetterTopic || defaultDeadLetterTopic, namespace) : null
+    };
+
+    // Topics matching the pattern in the namespace, including topics created later, are discovered by the client
+    // Retried messages come back through the retry topic, consumed along with the others
+    let topics;
+    if (topicPattern) {
+      topics = {
+        topicsPattern: resolveTopicName(topicPattern, namespace, { nonPersistent }),
+        ...(nonPersistent && { regexSubscriptionMode: 'NonPersistentOnly' })
+      };
+    } else if (letterTopics.retryTopic) {
+      topics = { topics: [...topicNames, letterTopics.retryTopic] };
+    } else {
+      topics = topicNames.length > 1 ? { topics: topicNames } : { topic: topicNames[0] };
+    }
+
+    const schema = await this.loadSchema(options.schema, options.schemaFile);
+    const consumerOptions = { ...options, subscription, initialPosition };
+    this.consumer = this.attach('consumer', new PulsarConsumer(this.client, this.config, consumerOptions, schema));
+    await this.consumer.subscribe(topics, subscriptionType, letterTopics);
+    return this.consumer;
+  }
+
+  /**
+   * Creates a reader of a topic, without subscription
+   * @param {object} [options={}] - The reader options, the others being those of PulsarConsumer
+   * @param {string} [options.topic] - The topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to read
+   * @param {string|number|object} [options.since='earliest'] - The start position: earliest, latest, a timestamp or message ID parts
+   * @param {boolean} [options.inclusive=false] - Whether the message of a message ID position is read too
+   * @param {string|null} [options.checkpoint=null] - The checkpoint file, resumed from if present and saved on close
+   * @param {string|null} [options.schema=null] - The schema type of the topic
+   * @param {string|null} [options.schemaFile=null] - The schema definition file
+   * @returns {Promise<PulsarConsumer>} The positioned reader
+   */
+  async createReader(options = {}) {
+    const { topic, nonPersistent, partition, since = 'earliest', inclusive = false } = options;
+    const fullTopicName = await this.resolveTopic(topic, { nonPersistent, partition });
+    const schema = await this.loadSchema(options.schema, options.schemaFile);
+
+    this.consumer = this.attach('consumer', new PulsarConsumer(this.client, this.config, options, schema));
+    await this.consumer.openReader(fullTopicName, since, inclusive);
+    return this.consumer;
   }
 
   /**
    * Sends a message using the producer
    * @param {string} message - The message to send
    * @param {string} key - The message key
-   * @returns {Promise<void>}
+   * @param {object} [options={}] - The properties, eventTime, deliverAfter and deliverAt of the message
+   * @returns {Promise<MessageId>} The ID of the sent message
    */
-  async sendMessage(message, key) {
-    await this.producer.sendMessage(message, key);
+  async sendMessage(message, key, options = {}) {
+    return this.producer.sendMessage(message, key, options);
   }
 
   /**
-   * Receives messages from the consumer
-   * @returns {Promise<void>}
+   * Sends records in bulk using the producer
+   * @param {AsyncIterable<object>} entries - The records to send
+   * @param {string} [defaultKey] - The key used for records without one
+   * @returns {Promise<{sent: number, failed: number}>} The send summary
+   */
+  async sendBulk(entries, defaultKey) {
+    return this.producer.sendBulk(entries, defaultKey);
+  }
+
+  /**
+   * Exports a range of a topic to an archive, through a reader
+   * @param {string} path - The archive path, or '-' for stdout
+   * @param {object} [options={}] - The export options
+   * @param {string} [options.topic] - The topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to export
+   * @param {string} [options.format=CONFIG.archive.defaultFormat] - The archive format (ndjson or binary)
+   * @param {string|number|object} [options.from='earliest'] - The start position, timestamp or message ID parts
+   * @param {number|object|null} [options.to=null] - The end timestamp or message ID parts, null for the end of the topic
+   * @param {object} [options.filters] - The filters selecting the messages to export, as accepted by MessageFilter
+   * @returns {Promise<number>} The number of exported messages
+   */
+  async exportTopic(path, { topic, nonPersistent, partition, format = CONFIG.archive.defaultFormat, from = 'earliest', to = null, filters } = {}) {
+    const fullTopicName = await this.resolveTopic(topic, { nonPersistent, partition });
+    this.consumer = this.attach('consumer', new PulsarConsumer(this.client, this.config, { filters }));
+    this.consumer.consumer = await this.consumer.createReader(fullTopicName, from);
+
+    const writer = new ArchiveWriter(path, format);
+    try {
+      return await this.consumer.exportMessages(writer, to);
+    } finally {
+      await writer.close();
+    }
+  }
+
+  /**
+   * Republishes the records of an archive through the producer, optionally at their original pacing
+   * @param {string} path - The archive path, or '-' for stdin
+   * @param {object} [options={}] - The import options
+   * @param {string} [options.format=CONFIG.archive.defaultFormat] - The archive format (ndjson or binary)
+   * @param {number|null} [options.speed=null] - The replay speed multiplier, null to send as fast as possible
+   * @returns {Promise<{sent: number, failed: number}>} The send summary
    */
-  async receiveMessages() {
-    await this.consumer.receiveMessages();
+  async importArchive(path, { format = CONFIG.archive.defaultFormat, speed = null } = {}) {
+    const reader = new ArchiveReader(path, format);
+    const entries = speed ? this.paceRecords(reader.records(), speed) : reader.records();
+    return this.producer.sendBulk(entries);
   }
 
   /**
-   * Cleans up resources by closing the producer, consumer, and client
+   * Delays archived records so that they are sent with the gaps between their original publish times
+   * @param {AsyncIterable<object>} entries - The archived records
+   * @param {number} speed - The speed multiplier, 2 sending twice as fast as originally published
+   * @returns {AsyncGenerator<object>} The records, each yielded at its replay time
+   */
+  async *paceRecords(entries, speed) {
+    let firstPublishTime = null;
+    const startedAt = Date.now();
+
+    for await (const entry of entries) {
+      if (entry.record?.publishTime) {
+        firstPublishTime ??= entry.record.publishTime;
+        const delay = (entry.record.publishTime - firstPublishTime) / speed - (Date.now() - startedAt);
+        if (delay > 0) await sleep(delay);
+      }
+      yield entry;
+    }
+  }
+
+  /**
+   * Runs a producing throughput benchmark
+   * @param {object} options - The benchmark options, as accepted by Benchmark, with the topic instead of topicName
+   * @param {string} [options.topic] - The topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to produce to
+   * @returns {Promise<object>} The benchmark report
+   */
+  async runBenchmark({ topic, nonPersistent, partition, ...options }) {
+    const topicName = await this.resolveTopic(topic, { nonPersistent, partition });
+    this.benchmark = this.attach('benchmark', new Benchmark(this.client, this.config, { ...options, topicName }));
+    return this.benchmark.run();
+  }
+
+  /**
+   * Runs an end-to-end latency benchmark, consuming the messages of the stress tool
+   * @param {object} options - The benchmark options, as accepted by ConsumerBenchmark, with the topic instead of topicName
+   * @param {string} [options.topic] - The topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic to consume
+   * @returns {Promise<object>} The benchmark report
+   */
+  async runConsumerBenchmark({ topic, nonPersistent, partition, ...options }) {
+    const topicName = await this.resolveTopic(topic, { nonPersistent, partition });
+    this.benchmark = this.attach('benchmark', new ConsumerBenchmark(this.client, this.config, { ...options, topicName }));
+    return this.benchmark.run();
+  }
+
+  /**
+   * Mirrors a topic to a destination topic until stopped
+   * @param {object} options - The mirror options
+   * @param {string} [options.topic] - The source topic name, the default topic if unset
+   * @param {boolean} [options.nonPersistent=false] - Whether a short source topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the source topic
+   * @param {string} options.destinationTopic - The destination topic name, relative to the namespace of its profile
+   * @param {string|null} [options.destinationProfile=null] - The profile of the destination cluster, the source one if unset
+   * @param {string} [options.subscription=CONFIG.mirror.subscriptionName] - The subscription name on the source topic
+   * @param {string} [options.subscriptionType=CONFIG.mirror.defaultType] - The subscription type
+   * @param {string} [options.initialPosition='Latest'] - Where a new subscription starts, Earliest or Latest
+   * @param {string} [options.compression=CONFIG.defaultCompression] - The compression type of the destination producer
+   * @param {number} [options.threads=CONFIG.defaultThreads] - Number of IO threads of the destination client
+   * @returns {Promise<{copied: number, failed: number}>} The mirror counters
+   */
+  async runMirror({
+    topic,
+    nonPersistent,
+    partition,
+    destinationTopic,
+    destinationProfile = null,
+    subscription = this.config.mirror.subscriptionName,
+    subscriptionType = this.config.mirror.defaultType,
+    initialPosition = 'Latest',
+    compression = CONFIG.defaultCompression,
+    threads = CONFIG.defaultThreads
+  }) {
+    const sourceTopic = await this.resolveTopic(topic, { nonPersistent, partition });
+
+    let destinationConfig = await this.configManager.loadUserConfig();
+    let destinationClient = this.client;
+    if (destinationProfile) {
+      // Environment overrides describe the source connection, the destination profile is used as is
+      destinationConfig = await new ConfigManager(destinationProfile, false).loadUserConfig();
+      this.destinationClient = this.createClient(destinationConfig, threads);
+      destinationClient = this.destinationClient;
+    }
+
+    this.mirror = this.attach('mirror', new TopicMirror(this.client, destinationClient, this.config, {
+      sourceTopic,
+      destinationTopic: resolveTopicName(destinationTopic, destinationConfig.namespace),
+      subscription,
+      subscriptionType,
+      initialPosition,
+      compression
+    }));
+    return this.mirror.run();
+  }
+
+  /**
+   * Runs an admin command against the profile's admin API, short topic names being relative to the profile's namespace
+   * @param {{command: string, action: string, topic: string|undefined}} adminCommand - The command, as returned by ArgumentParser.getAdminCommand
+   * @param {object} [options={}] - The command options, as returned by ArgumentParser.getAdminOptions
+   * @param {number} [options.partitions=0] - The number of partitions of a created topic
+   * @param {string|null} [options.tenant=null] - The tenant of the listed namespaces, the profile's tenant if unset
+   * @param {string|null} [options.subscription=null] - The subscription of a subscriptions command
+   * @param {number|object|null} [options.to=null] - The reset position: a timestamp or message ID parts
+   * @param {number|null} [options.count=null] - The number of messages to skip
+   * @param {boolean} [options.nonPersistent=false] - Whether a short topic name is non-persistent
+   * @param {number|null} [options.partition=null] - The partition of the topic
+   * @returns {Promise<*>} The command result: a list, topic stats, or the affected topic or subscription
+   */
+  async runAdminCommand({ command, action, topic }, { partitions = 0, tenant = null, subscription = null, to = null, count = null, nonPersistent, partition } = {}) {
+    const userConfig = await this.configManager.loadUserConfig();
+    const admin = new PulsarAdmin(userConfig.adminUrl || toAdminUrl(userConfig.serviceUrl), userConfig.auth, this.config);
+    const namespacePath = userConfig.namespace.replace(/^[a-z-]+:\/\//, '').replace(/\/$/, '');
+    const topicName = topic ? resolveTopicName(topic, userConfig.namespace, { nonPersistent, partition }) : null;
+    const topicPath = topicName && toTopicPath(topicName);
+
+    switch (`${command} ${action}`) {
+      case 'topics list':
+        return admin.listTopics(namespacePath);
+      case 'topics create':
+        await admin.createTopic(topicPath, partitions);
+        return { topic: topicName, partitions, created: true };
+      case 'topics delete':
+        await admin.deleteTopic(topicPath);
+        return { topic: topicName, deleted: true };
+      case 'topics stats':
+        return admin.getTopicStats(topicPath);
+      case 'namespaces list':
+        return admin.listNamespaces(tenant || namespacePath.split('/')[0]);
+      case 'subscriptions list':
+        return admin.listSubscriptions(topicPath);
+      case 'subscriptions reset':
+        await admin.resetCursor(topicPath, subscription, to);
+        return { topic: topicName, subscription, resetTo: typeof to === 'number' ? new Date(to).toISOString() : formatMessageId(to) };
+      case 'subscriptions skip':
+        await admin.skipMessages(topicPath, subscription, count);
+        return { topic: topicName, subscription, skipped: count };
+      case 'subscriptions clear':
+        await admin.clearBacklog(topicPath, subscription);
+        return { topic: topicName, subscription, cleared: true };
+      case 'subscriptions delete':
+        await admin.deleteSubscription(topicPath, subscription);
+        return { topic: topicName, subscription, deleted: true };
+      default:
+        throw new Error(`Unknown admin command: ${command} ${action}`);
+    }
+  }
+
+  /**
+   * Requests the producer, consumer, benchmark and mirror to stop, such as on SIGINT or SIGTERM
+   */
+  stop() {
+    this.stopRequested = true;
+    this.producer?.stop();
+    this.consumer?.stop();
+    this.benchmark?.stop();
+    this.mirror?.stop();
+  }
+
+  /**
+   * Cleans up resources by closing the producer, consumer, clients and metrics endpoint
    * @returns {Promise<void>}
    */
   async cleanup() {
@@ -119,9 +530,16 @@ export class PulsarManager {
     if (this.consumer) {
       await this.consumer.close();
     }
+    if (this.destinationClient) {
+      await this.destinationClient.close();
+    }
     if (this.client) {
       await this.client.close();
-      console.log('Client closed');
+      this.emit('disconnect');
+    }
+    if (this.metricsServer) {
+      await this.metricsServer.close();
     }
+    this.emit('close');
   }
 }
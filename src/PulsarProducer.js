@@ -1,47 +1,221 @@
-export class PulsarProducer {
+import { EventEmitter } from 'events';
+import { CONFIG } from './config.js';
+import { LatencyHistogram } from './LatencyHistogram.js';
+import { formatMessageId, parseMessageId } from './messageId.js';
+
+/**
+ * Manages the Pulsar producer
+ * Emits ready once created, sent for each message sent with sendMessage, sendError for each record of a bulk send
+ * that fails, and close.
+ * @class
+ * @property {Pulsar.Client} client - The Pulsar client instance
+ * @property {object} config - The configuration object
+ * @property {Producer} producer - The producer instance
+ * @property {string|null} topic - The full topic name, once created
+ * @property {SchemaCodec|null} schema - The schema used to validate and encode payloads
+ * @property {{sent: number, failed: number, bytes: number, errors: object}} stats - The session counters, errors by type
+ * @property {LatencyHistogram} sendLatencies - The time taken by successful sends
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @exports PulsarProducer
+ */
+export class PulsarProducer extends EventEmitter {
   /**
    * Creates an instance of PulsarProducer
    * @param {Pulsar.Client} client - The Pulsar client instance
    * @param {object} config - The configuration object
    */
   constructor(client, config) {
+    super();
     this.client = client;
     this.config = config;
     this.producer = null;
+    this.topic = null;
+    this.schema = null;
+    this.stats = { sent: 0, failed: 0, bytes: 0, errors: {} };
+    this.sendLatencies = new LatencyHistogram();
+    this.stopRequested = false;
+  }
+
+  /**
+   * Requests a bulk send to stop reading records, records already sent are flushed first
+   */
+  stop() {
+    this.stopRequested = true;
   }
 
   /**
    * Creates a producer on the specified topic
    * @param {string} topicName - The full topic name
    * @param {string} [compression=CONFIG.defaultCompression] - The compression type
+   * @param {SchemaCodec|null} [schema=null] - The schema of the topic
+   * @param {object} [producerOptions={}] - Additional Pulsar producer settings
    * @returns {Promise<void>}
    */
-  async create(topicName, compression = CONFIG.defaultCompression) {
+  async create(topicName, compression = CONFIG.defaultCompression, schema = null, producerOptions = {}) {
+    this.topic = topicName;
+    this.schema = schema;
     this.producer = await this.client.createProducer({
       batchingEnabled: true,
       sendTimeoutMs: this.config.pulsar.timeouts.sendMessage,
       compressionType: compression,
       topic: topicName,
+      ...(schema && { schema: schema.getSchemaInfo() }),
+      ...producerOptions
     });
-    console.log('Producer successfully created on topic:', topicName.split('/').pop());
+    this.emit('ready', { topic: topicName });
+  }
+
+  /**
+   * Builds the message passed to the Pulsar producer from a record, encoding its payload with the schema if any
+   * @param {object} record - The record to send
+   * @param {string|Buffer} record.payload - The message payload
+   * @param {string} [record.key] - The partition key
+   * @param {object} [record.properties] - The message properties
+   * @param {number} [record.eventTime] - The event time, in milliseconds since epoch
+   * @param {number} [record.deliverAfter] - The delivery delay, in milliseconds
+   * @param {number} [record.deliverAt] - The delivery time, in milliseconds since epoch
+   * @returns {object} The Pulsar producer message
+   */
+  buildMessage({ payload, key, properties, eventTime, deliverAfter, deliverAt }) {
+    const message = { data: this.schema ? this.schema.encode(payload) : Buffer.from(payload) };
+    if (key) message.partitionKey = key;
+    if (properties) message.properties = properties;
+    if (eventTime) message.eventTimestamp = eventTime;
+    if (deliverAfter) message.deliverAfter = deliverAfter;
+    if (deliverAt) message.deliverAt = deliverAt;
+    return message;
+  }
+
+  /**
+   * Counts an error by type: invalid-record for records that cannot be sent, send for sends rejected by the client
+   * @param {string} type - The error type
+   */
+  countError(type) {
+    this.stats.errors[type] = (this.stats.errors[type] || 0) + 1;
+  }
+
+  /**
+   * Sends a built message, recording its size and send latency once acknowledged by the broker
+   * @param {object} message - The Pulsar producer message, as returned by buildMessage
+   * @returns {Promise<MessageId>} The ID of the sent message
+   */
+  async sendBuilt(message) {
+    const sentAt = process.hrtime.bigint();
+    let messageId;
+    try {
+      messageId = await this.producer.send(message);
+    } catch (err) {
+      this.countError('send');
+      throw err;
+    }
+
+    this.sendLatencies.record(Number(process.hrtime.bigint() - sentAt) / 1e6);
+    this.stats.sent++;
+    this.stats.bytes += message.data.length;
+    return messageId;
+  }
+
+  /**
+   * Sends a record
+   * @param {object} record - The record to send, as accepted by buildMessage
+   * @returns {Promise<MessageId>} The ID of the sent message
+   */
+  async send(record) {
+    if (!this.producer) {
+      throw new Error('Producer not initialized. Call create() first.');
+    }
+
+    let message;
+    try {
+      message = this.buildMessage(record);
+    } catch (err) {
+      this.countError('invalid-record');
+      throw err;
+    }
+    return this.sendBuilt(message);
+  }
+
+  /**
+   * Flushes the messages batched by the producer
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.producer) {
+      await this.producer.flush();
+    }
   }
 
   /**
    * Sends a message using the producer
    * @param {string} message - The message to send
    * @param {string} key - The partition key
-   * @returns {Promise<void>}
+   * @param {object} [options={}] - The properties, eventTime, deliverAfter and deliverAt of the message
+   * @returns {Promise<MessageId>} The ID of the sent message
+   */
+  async sendMessage(message, key, options = {}) {
+    const messageId = await this.send({ ...options, payload: message, key });
+    this.emit('sent', {
+      topic: this.topic,
+      messageId: formatMessageId(parseMessageId(messageId.toString())),
+      key,
+      payload: message
+    });
+    return messageId;
+  }
+
+  /**
+   * Sends all records through the producer, keeping several sends in flight so they can be batched
+   * @param {AsyncIterable<{line: number, record?: object, error?: Error}>} entries - The records to send
+   * @param {string} [defaultKey] - The key used for records without one
+   * @returns {Promise<{sent: number, failed: number}>} The send summary
    */
-  async sendMessage(message, key) {
+  async sendBulk(entries, defaultKey) {
     if (!this.producer) {
       throw new Error('Producer not initialized. Call create() first.');
     }
 
-    await this.producer.send({
-      data: Buffer.from(message),
-      partitionKey: key
-    });
-    console.log(`Message sent: ${message} (key: ${key})`);
+    const summary = { sent: 0, failed: 0 };
+    const pending = new Set();
+
+    const fail = (line, err) => {
+      summary.failed++;
+      this.stats.failed++;
+      this.emit('sendError', { line, error: err });
+    };
+
+    for await (const { line, record, error } of entries) {
+      if (this.stopRequested) break;
+      if (error) {
+        this.countError('invalid-record');
+        fail(line, error);
+        continue;
+      }
+
+      let message;
+      try {
+        message = this.buildMessage({ key: defaultKey, ...record });
+      } catch (err) {
+        this.countError('invalid-record');
+        fail(line, err);
+        continue;
+      }
+
+      const send = this.sendBuilt(message)
+        .then(() => {
+          summary.sent++;
+        })
+        .catch((err) => fail(line, err))
+        .finally(() => pending.delete(send));
+      pending.add(send);
+
+      if (pending.size >= this.config.bulk.maxPendingSends) {
+        await Promise.race(pending);
+      }
+    }
+
+    await Promise.all(pending);
+    await this.producer.flush();
+    return summary;
   }
 
   /**
@@ -51,7 +225,7 @@ export class PulsarProducer {
   async close() {
     if (this.producer) {
       await this.producer.close();
-      console.log('Producer closed');
+      this.emit('close');
     }
   }
 }
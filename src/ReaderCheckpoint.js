@@ -0,0 +1,50 @@
+import { readFile, rename, writeFile } from 'fs/promises';
+import { formatMessageId, parseMessageId } from './messageId.js';
+
+/**
+ * Records the last message processed by a reader in a file, so that a later run resumes after it
+ * The file holds a single message ID, as ledger:entry:partition:batch.
+ * @class
+ * @property {string} path - The checkpoint file path
+ * @exports ReaderCheckpoint
+ */
+export class ReaderCheckpoint {
+  /**
+   * Creates an instance of ReaderCheckpoint
+   * @param {string} path - The checkpoint file path
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /**
+   * Reads the recorded message ID
+   * @returns {Promise<{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}|null>} The ID parts, null if no checkpoint was recorded yet
+   */
+  async load() {
+    let content;
+    try {
+      content = (await readFile(this.path, 'utf8')).trim();
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    const messageId = parseMessageId(content);
+    if (!messageId) {
+      throw new Error(`Invalid checkpoint file ${this.path}: expected a message ID, found "${content}"`);
+    }
+    return messageId;
+  }
+
+  /**
+   * Records a message ID, replacing the file at once so that an interrupted write keeps the previous checkpoint
+   * @param {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}} messageId - The ID parts
+   * @returns {Promise<void>}
+   */
+  async save(messageId) {
+    const temporaryPath = `${this.path}.tmp`;
+    await writeFile(temporaryPath, `${formatMessageId(messageId)}\n`);
+    await rename(temporaryPath, this.path);
+  }
+}
@@ -0,0 +1,123 @@
+import avro from 'avsc';
+import { readFile } from 'fs/promises';
+
+const SCHEMA_TYPES = {
+  avro: 'Avro',
+  json: 'Json',
+  string: 'String'
+};
+
+/**
+ * Validates, encodes and decodes payloads against a topic schema
+ * JSON and Avro schemas are both described by an Avro schema definition, as Pulsar does
+ * @class
+ * @property {string} type - The schema type (json, avro or string)
+ * @property {object|null} definition - The Avro schema definition, null for string schemas
+ * @property {avro.Type|null} avroType - The compiled Avro type, null for string schemas
+ * @exports SchemaCodec
+ */
+export class SchemaCodec {
+  /**
+   * Creates an instance of SchemaCodec
+   * @param {string} type - The schema type (json, avro or string)
+   * @param {object|null} [definition=null] - The Avro schema definition
+   */
+  constructor(type, definition = null) {
+    this.type = type;
+    this.definition = definition;
+    this.avroType = definition ? avro.Type.forSchema(definition) : null;
+  }
+
+  /**
+   * Creates a codec from a schema definition file
+   * @param {string} type - The schema type (json, avro or string)
+   * @param {string|null} path - The path to the schema definition file, not needed for string schemas
+   * @returns {Promise<SchemaCodec>}
+   */
+  static async fromFile(type, path) {
+    if (type === 'string') return new SchemaCodec(type);
+    if (!path) {
+      throw new Error(`A schema definition file (--schema-file) is required for ${type} schemas`);
+    }
+
+    let definition;
+    try {
+      definition = JSON.parse(await readFile(path, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to read schema definition ${path}: ${err.message}`);
+    }
+
+    try {
+      return new SchemaCodec(type, definition);
+    } catch (err) {
+      throw new Error(`Invalid schema definition ${path}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns the schema info registered with producers and consumers
+   * @returns {object} The Pulsar schema info
+   */
+  getSchemaInfo() {
+    const schemaInfo = { schemaType: SCHEMA_TYPES[this.type] };
+    if (this.definition) {
+      schemaInfo.name = this.definition.name;
+      schemaInfo.schema = JSON.stringify(this.definition);
+    }
+    return schemaInfo;
+  }
+
+  /**
+   * Checks a value against the schema, naming every offending field
+   * @param {*} value - The value to check
+   */
+  validate(value) {
+    const errors = [];
+    this.avroType.isValid(value, {
+      errorHook: (path, fieldValue, fieldType) => {
+        const field = path.length > 0 ? path.join('.') : '(root)';
+        const actual = fieldValue === undefined ? 'missing' : JSON.stringify(fieldValue);
+        errors.push(`field "${field}": expected ${fieldType.branchName || fieldType.typeName}, got ${actual}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Payload does not match schema ${this.definition.name || this.type}: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Validates and encodes a payload
+   * @param {string} payload - The payload, as JSON for json and avro schemas
+   * @returns {Buffer} The encoded payload
+   */
+  encode(payload) {
+    if (this.type === 'string') return Buffer.from(payload);
+
+    let value;
+    try {
+      value = JSON.parse(payload);
+    } catch (err) {
+      throw new Error(`Payload is not valid JSON: ${err.message}`);
+    }
+
+    this.validate(value);
+    return this.type === 'avro' ? this.avroType.toBuffer(value) : Buffer.from(JSON.stringify(value));
+  }
+
+  /**
+   * Decodes a payload
+   * @param {Buffer} data - The encoded payload
+   * @returns {*} The decoded value
+   */
+  decode(data) {
+    switch (this.type) {
+      case 'avro':
+        return this.avroType.fromBuffer(data);
+      case 'json':
+        return JSON.parse(data.toString());
+      default:
+        return data.toString();
+    }
+  }
+}
@@ -0,0 +1,197 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { createInterface } from 'readline';
+import { once } from 'events';
+
+const BINARY_MAGIC = Buffer.from('PCA1');
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Writes exported messages to a file or stdout, as NDJSON or length-prefixed binary records
+ * NDJSON lines hold the payload as text, or as base64 when it is not valid UTF-8.
+ * Binary files start with "PCA1", then each record is a 32-bit length-prefixed JSON header and a length-prefixed payload.
+ * @class
+ * @property {string} path - The file path, or '-' for stdout
+ * @property {string} format - The archive format (ndjson or binary)
+ * @property {Writable} stream - The output stream
+ * @exports ArchiveWriter
+ */
+export class ArchiveWriter {
+  /**
+   * Creates an instance of ArchiveWriter
+   * @param {string} path - The file path, or '-' for stdout
+   * @param {string} format - The archive format (ndjson or binary)
+   */
+  constructor(path, format) {
+    this.path = path;
+    this.format = format;
+    this.stream = path === '-' ? process.stdout : createWriteStream(path);
+    if (format === 'binary') this.stream.write(BINARY_MAGIC);
+  }
+
+  /**
+   * Writes a chunk, waiting for the stream to drain when its buffer is full
+   * @param {string|Buffer} chunk - The chunk to write
+   * @returns {Promise<void>}
+   */
+  async writeChunk(chunk) {
+    if (!this.stream.write(chunk)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  /**
+   * Writes a record
+   * @param {object} record - The record to write
+   * @param {Buffer} record.payload - The message payload
+   * @param {string|null} record.key - The partition key
+   * @param {object} record.properties - The message properties
+   * @param {number|null} record.eventTime - The event time, in milliseconds since epoch
+   * @param {number} record.publishTime - The publish time, in milliseconds since epoch
+   * @param {string} record.messageId - The original message ID
+   * @returns {Promise<void>}
+   */
+  async write({ payload, ...header }) {
+    if (this.format === 'binary') {
+      const headerBuffer = Buffer.from(JSON.stringify(header));
+      const lengths = Buffer.alloc(8);
+      lengths.writeUInt32BE(headerBuffer.length, 0);
+      lengths.writeUInt32BE(payload.length, 4);
+      await this.writeChunk(Buffer.concat([lengths.subarray(0, 4), headerBuffer, lengths.subarray(4), payload]));
+      return;
+    }
+
+    const line = {
+      messageId: header.messageId,
+      key: header.key,
+      properties: header.properties,
+      publishTime: new Date(header.publishTime).toISOString(),
+      ...(header.eventTime && { eventTime: new Date(header.eventTime).toISOString() })
+    };
+
+    try {
+      line.payload = utf8Decoder.decode(payload);
+      line.payloadEncoding = 'utf8';
+    } catch {
+      line.payload = payload.toString('base64');
+      line.payloadEncoding = 'base64';
+    }
+
+    await this.writeChunk(`${JSON.stringify(line)}\n`);
+  }
+
+  /**
+   * Closes the output, stdout being left open
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.stream === process.stdout) return;
+    this.stream.end();
+    await once(this.stream, 'finish');
+  }
+}
+
+/**
+ * Reads the records of an exported archive from a file or stdin
+ * @class
+ * @property {string} path - The file path, or '-' for stdin
+ * @property {string} format - The archive format (ndjson or binary)
+ * @exports ArchiveReader
+ */
+export class ArchiveReader {
+  /**
+   * Creates an instance of ArchiveReader
+   * @param {string} path - The file path, or '-' for stdin
+   * @param {string} format - The archive format (ndjson or binary)
+   */
+  constructor(path, format) {
+    this.path = path;
+    this.format = format;
+  }
+
+  /**
+   * Converts an archived header and payload into a record to send
+   * @param {object} header - The archived fields
+   * @param {Buffer} payload - The payload
+   * @returns {object} The record, with its original publish time
+   */
+  toRecord(header, payload) {
+    const toTimestamp = (value) => typeof value === 'number' ? value : Date.parse(value);
+    const record = { payload, publishTime: toTimestamp(header.publishTime) };
+    if (header.key) record.key = header.key;
+    if (header.properties && Object.keys(header.properties).length > 0) record.properties = header.properties;
+    if (header.eventTime) record.eventTime = toTimestamp(header.eventTime);
+    return record;
+  }
+
+  /**
+   * Iterates over the records of an NDJSON archive
+   * @param {Readable} input - The input stream
+   * @returns {AsyncGenerator<{line: number, record?: object, error?: Error}>}
+   */
+  async *ndjsonRecords(input) {
+    let lineNumber = 0;
+    for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      try {
+        const header = JSON.parse(line);
+        if (typeof header.payload !== 'string') throw new Error('Missing payload');
+        const payload = Buffer.from(header.payload, header.payloadEncoding === 'base64' ? 'base64' : 'utf8');
+        yield { line: lineNumber, record: this.toRecord(header, payload) };
+      } catch (err) {
+        yield { line: lineNumber, error: err };
+      }
+    }
+  }
+
+  /**
+   * Iterates over the records of a binary archive, numbered from 1
+   * @param {Readable} input - The input stream
+   * @returns {AsyncGenerator<{line: number, record: object}>}
+   */
+  async *binaryRecords(input) {
+    let buffer = Buffer.alloc(0);
+    let checkedMagic = false;
+    let index = 0;
+
+    for await (const chunk of input) {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      if (!checkedMagic) {
+        if (buffer.length < BINARY_MAGIC.length) continue;
+        if (!buffer.subarray(0, BINARY_MAGIC.length).equals(BINARY_MAGIC)) {
+          throw new Error(`${this.path} is not a binary archive`);
+        }
+        buffer = buffer.subarray(BINARY_MAGIC.length);
+        checkedMagic = true;
+      }
+
+      while (buffer.length >= 4) {
+        const headerLength = buffer.readUInt32BE(0);
+        if (buffer.length < 4 + headerLength + 4) break;
+        const payloadLength = buffer.readUInt32BE(4 + headerLength);
+        const end = 8 + headerLength + payloadLength;
+        if (buffer.length < end) break;
+
+        const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString());
+        const payload = Buffer.from(buffer.subarray(8 + headerLength, end));
+        buffer = buffer.subarray(end);
+        yield { line: ++index, record: this.toRecord(header, payload) };
+      }
+    }
+
+    if (buffer.length > 0) {
+      throw new Error(`${this.path} ends with a truncated record`);
+    }
+  }
+
+  /**
+   * Iterates over the records of the archive
+   * @returns {AsyncGenerator<{line: number, record?: object, error?: Error}>}
+   */
+  records() {
+    const input = this.path === '-' ? process.stdin : createReadStream(this.path, this.format === 'binary' ? {} : 'utf8');
+    return this.format === 'binary' ? this.binaryRecords(input) : this.ndjsonRecords(input);
+  }
+}
@@ -0,0 +1,158 @@
+import { EventEmitter } from 'events';
+import { PulsarProducer } from './PulsarProducer.js';
+import { isTimeoutError } from './PulsarConsumer.js';
+import { TopicStats } from './TopicStats.js';
+
+/**
+ * Copies the messages of a source topic to a destination topic, possibly on another cluster
+ * Messages are consumed with a durable subscription and acknowledged once republished, so a stopped mirror resumes
+ * where it left off. Failed sends are negatively acknowledged, to be redelivered and copied again.
+ * Emits ready once subscribed, progress at each report interval, and copyError and ackError for failed messages.
+ * @class
+ * @property {Pulsar.Client} sourceClient - The client connected to the source cluster
+ * @property {Pulsar.Client} destinationClient - The client connected to the destination cluster
+ * @property {object} config - The configuration object
+ * @property {object} options - The mirror options
+ * @property {Consumer} consumer - The consumer of the source topic
+ * @property {string} subscription - The subscription name on the source topic
+ * @property {PulsarProducer} producer - The producer of the destination topic
+ * @property {Set<Promise<void>>} pending - The copies in flight
+ * @property {{copied: number, failed: number}} stats - The mirror counters
+ * @property {TopicStats} topicStats - The counters of the source consumer, for each topic
+ * @property {boolean} stopRequested - Flag indicating a shutdown was requested
+ * @exports TopicMirror
+ */
+export class TopicMirror extends EventEmitter {
+  /**
+   * Creates an instance of TopicMirror
+   * @param {Pulsar.Client} sourceClient - The client connected to the source cluster
+   * @param {Pulsar.Client} destinationClient - The client connected to the destination cluster
+   * @param {object} config - The configuration object
+   * @param {object} options - The mirror options
+   * @param {string} options.sourceTopic - The full source topic name
+   * @param {string} options.destinationTopic - The full destination topic name
+   * @param {string} options.subscription - The subscription name on the source topic
+   * @param {string} options.subscriptionType - The subscription type
+   * @param {string} options.initialPosition - Where a new subscription starts, Earliest or Latest
+   * @param {string} options.compression - The compression type of the destination producer
+   */
+  constructor(sourceClient, destinationClient, config, options) {
+    super();
+    this.sourceClient = sourceClient;
+    this.destinationClient = destinationClient;
+    this.config = config;
+    this.options = options;
+    this.consumer = null;
+    this.subscription = options.subscription;
+    this.producer = null;
+    this.pending = new Set();
+    this.stats = { copied: 0, failed: 0 };
+    this.topicStats = new TopicStats();
+    this.stopRequested = false;
+  }
+
+  /**
+   * Requests the mirror to stop, copies in flight are completed first
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Republishes a message to the destination topic, then acknowledges it on the source topic
+   * @param {Message} msg - The received message
+   * @returns {Promise<void>}
+   */
+  async copyMessage(msg) {
+    try {
+      await this.producer.send({
+        payload: msg.getData(),
+        key: msg.getPartitionKey() || undefined,
+        properties: msg.getProperties(),
+        eventTime: msg.getEventTimestamp() || undefined
+      });
+    } catch (err) {
+      this.stats.failed++;
+      this.emit('copyError', { messageId: msg.getMessageId().toString(), error: err });
+      this.consumer.negativeAcknowledge(msg);
+      this.topicStats.recordSettled(msg, 'nacked');
+      return;
+    }
+
+    this.stats.copied++;
+    try {
+      await this.consumer.acknowledge(msg);
+      this.topicStats.recordSettled(msg, 'acked');
+    } catch (err) {
+      // The message is copied again when redelivered
+      this.topicStats.countError(msg.getTopicName(), 'ack');
+      this.emit('ackError', { messageId: msg.getMessageId().toString(), error: err });
+    }
+  }
+
+  /**
+   * Emits the counts and the copy rate of the last interval
+   * @param {number} startedAt - The run start time, in milliseconds since epoch
+   * @param {number} previousCopied - The number of messages copied at the previous interval
+   */
+  reportProgress(startedAt, previousCopied) {
+    const rate = (this.stats.copied - previousCopied) / (this.config.mirror.reportIntervalMs / 1000);
+    this.emit('progress', { elapsedSeconds: Math.round((Date.now() - startedAt) / 1000), ...this.stats, rate: Math.round(rate) });
+  }
+
+  /**
+   * Runs the mirror until a stop request
+   * @returns {Promise<{copied: number, failed: number}>} The mirror counters
+   */
+  async run() {
+    const { sourceTopic, destinationTopic, subscription, subscriptionType, initialPosition, compression } = this.options;
+
+    let progress = null;
+
+    // The producer is closed as well when the subscription fails
+    try {
+      this.producer = new PulsarProducer(this.destinationClient, this.config);
+      await this.producer.create(destinationTopic, compression);
+      this.consumer = await this.sourceClient.subscribe({
+        subscription,
+        subscriptionType,
+        subscriptionInitialPosition: initialPosition,
+        topic: sourceTopic
+      });
+      this.emit('ready', { sourceTopic, destinationTopic, subscription, subscriptionType });
+
+      const startedAt = Date.now();
+      let previousCopied = 0;
+      progress = setInterval(() => {
+        this.reportProgress(startedAt, previousCopied);
+        previousCopied = this.stats.copied;
+      }, this.config.mirror.reportIntervalMs);
+
+      while (!this.stopRequested) {
+        let msg;
+        try {
+          msg = await this.consumer.receive(this.config.consumer.pollIntervalMs);
+        } catch (err) {
+          if (isTimeoutError(err)) continue;
+          throw err;
+        }
+
+        this.topicStats.recordReceived(msg);
+        const copy = this.copyMessage(msg).finally(() => this.pending.delete(copy));
+        this.pending.add(copy);
+
+        if (this.pending.size >= this.config.mirror.maxPendingSends) {
+          await Promise.race(this.pending);
+        }
+      }
+    } finally {
+      clearInterval(progress);
+      await Promise.all(this.pending);
+      await this.producer.flush();
+      await this.consumer?.close();
+      await this.producer.close();
+    }
+
+    return this.stats;
+  }
+}
@@ -0,0 +1,61 @@
+import { LatencyHistogram } from './LatencyHistogram.js';
+
+/**
+ * Keeps the counters of a consumer for each topic it receives from, as given by the messages themselves
+ * A consumer of several topics or of a pattern thus reports each topic separately, partitions included.
+ * @class
+ * @property {Map<string, {stats: {received: number, acked: number, nacked: number, bytes: number, errors: object}, receiveLatencies: LatencyHistogram}>} topics - The counters, indexed by full topic name
+ * @exports TopicStats
+ */
+export class TopicStats {
+  /**
+   * Creates an instance of TopicStats
+   */
+  constructor() {
+    this.topics = new Map();
+  }
+
+  /**
+   * Returns the counters of a topic, created on first use
+   * @param {string} topic - The full topic name
+   * @returns {{stats: object, receiveLatencies: LatencyHistogram}} The counters
+   */
+  get(topic) {
+    let counters = this.topics.get(topic);
+    if (!counters) {
+      counters = { stats: { received: 0, acked: 0, nacked: 0, bytes: 0, errors: {} }, receiveLatencies: new LatencyHistogram() };
+      this.topics.set(topic, counters);
+    }
+    return counters;
+  }
+
+  /**
+   * Counts a received message, its size and the time since it was published
+   * @param {Message} msg - The received message
+   */
+  recordReceived(msg) {
+    const { stats, receiveLatencies } = this.get(msg.getTopicName());
+    stats.received++;
+    stats.bytes += msg.getData().length;
+    receiveLatencies.record(Date.now() - msg.getPublishTimestamp());
+  }
+
+  /**
+   * Counts a settled message
+   * @param {Message} msg - The settled message
+   * @param {string} counter - The counter: acked or nacked
+   */
+  recordSettled(msg, counter) {
+    this.get(msg.getTopicName()).stats[counter]++;
+  }
+
+  /**
+   * Counts an error by type
+   * @param {string} topic - The full topic name
+   * @param {string} type - The error type
+   */
+  countError(topic, type) {
+    const { errors } = this.get(topic).stats;
+    errors[type] = (errors[type] || 0) + 1;
+  }
+}
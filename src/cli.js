@@ -0,0 +1,147 @@
+import { ConsumerBenchmark } from './ConsumerBenchmark.js';
+
+/**
+ * Stops the session on the first SIGINT or SIGTERM, so that resources are cleaned up before exiting
+ * A second signal exits immediately
+ * @param {Function} onStop - Called to stop the session
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+export function handleSignals(onStop, logger) {
+  for (const [signal, exitCode] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+    process.once(signal, () => {
+      logger.warn(`Received ${signal}, shutting down...`, { signal });
+      process.exitCode = exitCode;
+      onStop();
+    });
+  }
+}
+
+/**
+ * Logs the progress of a producer
+ * @param {PulsarProducer} producer - The producer
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+function reportProducer(producer, logger) {
+  producer.on('ready', ({ topic }) => logger.info(`Producer successfully created on topic: ${topic.split('/').pop()}`, { topic }));
+  producer.on('sent', ({ messageId, key, payload }) => logger.info(`Message sent: ${payload} (key: ${key})`, { messageId, key }));
+  producer.on('sendError', ({ line, error }) => logger.error(`Record on line ${line} failed: ${error.message}`, { line }));
+  producer.on('close', () => logger.debug('Producer closed'));
+}
+
+/**
+ * Logs the progress of a consumer or reader, and the position to resume reading from
+ * @param {PulsarConsumer} consumer - The consumer or reader
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+function reportConsumer(consumer, logger) {
+  consumer.on('resume', ({ checkpoint }) => logger.info(`Resuming from checkpoint ${checkpoint}`, { checkpoint }));
+  consumer.on('ready', ({ subscription, subscriptionType, position, ...topics }) => {
+    if (subscription) {
+      logger.info(`Consumer successfully created with subscription ${subscription} (${subscriptionType})`, { ...topics, subscription, subscriptionType });
+    } else {
+      logger.info(`Reader successfully created, starting from: ${position}`, { ...topics, position });
+    }
+  });
+  consumer.on('checkpoint', ({ path, messageId }) => logger.info(`Checkpoint saved to ${path}: ${messageId}`, { checkpoint: path, messageId }));
+  consumer.on('close', ({ lastMessageId }) => {
+    if (lastMessageId && !consumer.checkpoint) {
+      logger.info(`Last message read: ${lastMessageId} (resume with --since ${lastMessageId})`, { messageId: lastMessageId });
+    }
+    if (consumer.consumer) logger.debug('Consumer closed');
+  });
+}
+
+/**
+ * Logs the progress of a mirror
+ * @param {TopicMirror} mirror - The mirror
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+function reportMirror(mirror, logger) {
+  mirror.on('ready', (info) => {
+    const { sourceTopic, destinationTopic, subscription, subscriptionType } = info;
+    logger.info(`Mirroring ${sourceTopic} to ${destinationTopic} with subscription ${subscription} (${subscriptionType})`, info);
+  });
+  mirror.on('progress', (progress) => {
+    const { elapsedSeconds, copied, failed, rate } = progress;
+    logger.info(`[${elapsedSeconds}s] ${copied} copied, ${failed} failed, ${rate} msg/s`, progress);
+  });
+  mirror.on('copyError', ({ messageId, error }) => logger.warn(`Copy of message ${messageId} failed: ${error.message}`, { messageId }));
+  mirror.on('ackError', ({ messageId, error }) => logger.warn(`Acknowledgment of message ${messageId} failed: ${error.message}`, { messageId }));
+}
+
+/**
+ * Logs the progress of a benchmark
+ * @param {Benchmark|ConsumerBenchmark} benchmark - The benchmark
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+function reportBenchmark(benchmark, logger) {
+  if (benchmark instanceof ConsumerBenchmark) {
+    benchmark.on('ready', ({ topic, subscription }) => {
+      logger.info(`Consumer benchmark subscribed to ${topic} with subscription ${subscription}, waiting for messages...`, { topic, subscription });
+    });
+    benchmark.on('progress', (progress) => {
+      const { elapsedSeconds, total, received, p50, p99, max } = progress;
+      logger.info(`[${elapsedSeconds}s] ${total} received (+${received}), latency p50 ${p50}ms, p99 ${p99}ms, max ${max}ms`, progress);
+    });
+    return;
+  }
+
+  benchmark.on('progress', (progress) => {
+    const { elapsedSeconds, sent, failed, rate } = progress;
+    logger.info(`[${elapsedSeconds}s] ${sent} sent, ${failed} failed, ${rate} msg/s`, progress);
+  });
+  benchmark.on('sendError', ({ error }) => logger.warn(`Send failed: ${error.message}`));
+}
+
+/**
+ * Logs a summary of the session
+ * @param {PulsarManager} manager - The Pulsar manager instance
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+function logSummary(manager, logger) {
+  const { producer, consumer, mirror } = manager;
+  const elapsed = ((Date.now() - manager.startedAt) / 1000).toFixed(1);
+  const counts = {};
+  if (producer) {
+    counts.sent = producer.stats.sent;
+    if (producer.stats.failed > 0) counts.failed = producer.stats.failed;
+  }
+  if (consumer) {
+    const { received, matched, acked, nacked } = consumer.stats;
+    counts.received = received;
+    if (consumer.filter.isActive()) counts.matched = matched;
+    counts.acked = acked;
+    if (nacked > 0) counts.nacked = nacked;
+  }
+  if (mirror) {
+    counts.copied = mirror.stats.copied;
+    counts.failed = mirror.stats.failed;
+  }
+
+  if (Object.keys(counts).length > 0) {
+    const summary = Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ');
+    logger.info(`Session summary: ${summary} in ${elapsed}s`, { ...counts, elapsedSeconds: parseFloat(elapsed) });
+  }
+}
+
+/**
+ * Logs the lifecycle events of the manager and of its components, then the session summary once closed
+ * The Pulsar client's own logs go through the logger too, its information logs being shown as debug information.
+ * @param {PulsarManager} manager - The Pulsar manager instance
+ * @param {Logger} logger - The logger of the command-line tool
+ */
+export function reportEvents(manager, logger) {
+  manager.on('connecting', ({ profile, auth, serviceUrl }) => {
+    logger.info(`Attempting to connect to Pulsar broker (profile: ${profile}, auth: ${auth})...`, { profile, auth, serviceUrl });
+  });
+  manager.on('log', ({ level, message, file, line }) => {
+    logger.log(level === 'info' ? 'debug' : level, `pulsar-client: ${message}`, { file, line });
+  });
+  manager.on('metrics', ({ port, path }) => logger.info(`Serving metrics on http://localhost:${port}${path}`, { port, path }));
+  manager.on('producer', (producer) => reportProducer(producer, logger));
+  manager.on('consumer', (consumer) => reportConsumer(consumer, logger));
+  manager.on('mirror', (mirror) => reportMirror(mirror, logger));
+  manager.on('benchmark', (benchmark) => reportBenchmark(benchmark, logger));
+  manager.on('disconnect', () => logger.debug('Client closed'));
+  manager.on('close', () => logSummary(manager, logger));
+}
@@ -0,0 +1,766 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Command-line options, indexed by parameter name
+ * Options without a value are flags. Options sharing a flag, such as --format, are defined once per meaning and
+ * never offered by the same command. Descriptions are lists of help lines.
+ */
+export const OPTIONS = {
+  ackCumulative: {
+    flag: '--ack-cumulative',
+    description: ['Acknowledge cumulatively (Exclusive and Failover only)']
+  },
+  ackMode: {
+    flag: '--ack-mode',
+    value: '<mode>',
+    choices: CONFIG.consumer.validAckModes,
+    description: [
+      'What to do with printed messages (default: auto)',
+      'auto: acknowledge, none: leave unacknowledged (redelivered',
+      '  after the ack timeout), nack: negatively acknowledge'
+    ]
+  },
+  action: {
+    value: '<action>',
+    description: ['The action to run']
+  },
+  adminOutput: {
+    flag: '--output',
+    alias: '-o',
+    value: '<format>',
+    choices: CONFIG.admin.validOutputs,
+    description: ['Output format: table (default) or json']
+  },
+  adminTopic: {
+    value: '<topic>',
+    description: ['The topic']
+  },
+  archiveFormat: {
+    flag: '--format',
+    value: '<format>',
+    choices: CONFIG.archive.validFormats,
+    description: [
+      'Archive format (default: ndjson)',
+      'ndjson: one JSON object per message, payloads in base64 if not UTF-8',
+      'binary: length-prefixed records, keeping payloads byte for byte'
+    ]
+  },
+  benchmark: {
+    flag: '--benchmark',
+    description: ['Measure throughput with outstanding sends instead of one send at a time']
+  },
+  checkpoint: {
+    flag: '--checkpoint',
+    value: '<file>',
+    path: true,
+    description: [
+      'Record the last read message in a file on exit, and resume',
+      'after it on the next run (--since only applies to the first run)'
+    ]
+  },
+  compression: {
+    flag: '--compression',
+    alias: '-c',
+    value: '<type>',
+    choices: CONFIG.validCompressionTypes,
+    ignoreCase: true,
+    description: ['Compression type (default: NONE)', `Valid types: ${CONFIG.validCompressionTypes.join(', ')}`]
+  },
+  concurrency: {
+    flag: '--concurrency',
+    value: '<n>',
+    description: ['Number of outstanding sends per producer (default: 100)']
+  },
+  consume: {
+    flag: '--consume',
+    description: [
+      'Measure end-to-end latency of the messages sent by another stress tool run',
+      'Latency uses the send time embedded by the stress tool, or the publish time'
+    ]
+  },
+  count: {
+    flag: '--count',
+    value: '<n>',
+    description: ['Number of messages to send (default: 100, 10000 with --benchmark)']
+  },
+  delay: {
+    flag: '--delay',
+    value: '<ms>',
+    description: ['Delay between messages in ms (default: 10)']
+  },
+  deliverAfter: {
+    flag: '--deliver-after',
+    value: '<delay>',
+    description: ['Deliver the message after a delay (e.g., 500ms, 30s, 5m, 1h)']
+  },
+  deliverAt: {
+    flag: '--deliver-at',
+    value: '<timestamp>',
+    description: [
+      'Deliver the message at a given time (ISO 8601 or ms since epoch)',
+      'Delayed delivery only applies to Shared and KeyShared subscriptions'
+    ]
+  },
+  dlqTopic: {
+    flag: '--dlq-topic',
+    value: '<name>',
+    description: ['Dead-letter topic (default: <topic>-<subscription>-DLQ)']
+  },
+  duration: {
+    flag: '--duration',
+    value: '<delay>',
+    description: ['Run for a duration (e.g., 30s, 5m) instead of a message count']
+  },
+  eventTime: {
+    flag: '--event-time',
+    value: '<timestamp>',
+    description: ['Set the event time (ISO 8601 or ms since epoch)']
+  },
+  expect: {
+    flag: '--expect',
+    value: '<n>',
+    description: ['Exit with an error if fewer than n messages are received', 'before another bound is reached']
+  },
+  export: {
+    value: '<path>',
+    path: true,
+    description: ['The archive path, or "-" for stdout']
+  },
+  file: {
+    flag: '--file',
+    value: '<path>',
+    path: true,
+    description: ['Send every record of a file, or of stdin with "-"']
+  },
+  filterJson: {
+    flag: '--filter-json',
+    value: '<path[=value]>',
+    repeatable: true,
+    description: [
+      'Only print JSON messages where the path exists, or has',
+      'this value (e.g., $.user.id=42, items[0].sku) (repeatable)'
+    ]
+  },
+  filterKey: {
+    flag: '--filter-key',
+    value: '<key>',
+    description: ['Only print messages with this key']
+  },
+  filterKeyRegex: {
+    flag: '--filter-key-regex',
+    value: '<regex>',
+    description: ['Only print messages whose key matches']
+  },
+  filterPayload: {
+    flag: '--filter-payload',
+    value: '<regex>',
+    description: ['Only print messages whose payload matches']
+  },
+  filterProperty: {
+    flag: '--filter-property',
+    value: '<key=value>',
+    repeatable: true,
+    description: ['Only print messages with this property value (repeatable)']
+  },
+  format: {
+    flag: '--format',
+    value: '<format>',
+    choices: CONFIG.bulk.validFormats,
+    description: [
+      'Record format of --file (default: lines)',
+      'lines: one payload per line',
+      'ndjson: {"payload", "key", "properties", "eventTime"} per line'
+    ]
+  },
+  from: {
+    flag: '--from',
+    value: '<position>',
+    description: [
+      'Start of the range (default: earliest)',
+      'Values: earliest, ISO 8601 timestamp, ms since epoch,',
+      'or message ID ledger:entry[:partition[:batch]] (excluded)'
+    ]
+  },
+  help: {
+    flag: '--help',
+    alias: '-h',
+    description: ['Show this help message']
+  },
+  helpCommand: {
+    value: '<command>',
+    description: ['The command to describe']
+  },
+  idleTimeout: {
+    flag: '--idle-timeout',
+    value: '<delay>',
+    description: ['Stop when no message is received for a delay (e.g., 30s, 5m)']
+  },
+  import: {
+    value: '<path>',
+    path: true,
+    description: ['The archive path, or "-" for stdin']
+  },
+  inclusive: {
+    flag: '--inclusive',
+    description: ['Also read the message given with --since']
+  },
+  initialPosition: {
+    flag: '--initial-position',
+    value: '<pos>',
+    choices: CONFIG.subscription.validInitialPositions,
+    description: ['Where a new subscription starts: earliest or latest (default: latest)']
+  },
+  json: {
+    flag: '--json',
+    description: ['Print the report as JSON']
+  },
+  key: {
+    flag: '--key',
+    value: '<key>',
+    description: ['Set message key (with --file, the key of records without one)']
+  },
+  keyCount: {
+    flag: '--key-count',
+    value: '<n>',
+    description: ['Number of distinct keys, key-0 to key-(n-1) (default: 5)']
+  },
+  keys: {
+    flag: '--keys',
+    value: '<strategy>',
+    choices: CONFIG.stress.validKeyStrategies,
+    description: [
+      'Key strategy (default: round-robin)',
+      'none: no key, round-robin: keys in turn, uniform: keys at random,',
+      'zipf: keys at random, key-0 being the most frequent'
+    ]
+  },
+  logFormat: {
+    flag: '--log-format',
+    value: '<format>',
+    choices: CONFIG.logging.validFormats,
+    description: ['Log format: text or json, one object per line (default: text)']
+  },
+  logLevel: {
+    flag: '--log-level',
+    value: '<level>',
+    choices: CONFIG.logging.validLevels,
+    description: ['Log level: error, warn, info or debug (default: info)']
+  },
+  maxMessages: {
+    flag: '--max-messages',
+    alias: '-n',
+    value: '<n>',
+    description: ['Stop after receiving n messages']
+  },
+  maxRedeliveries: {
+    flag: '--max-redeliveries',
+    value: '<n>',
+    description: ['Send messages redelivered more than n times to a dead-letter topic', '(Shared and KeyShared only)']
+  },
+  metricsPort: {
+    flag: '--metrics-port',
+    value: '<port>',
+    description: ['Serve Prometheus metrics on this port, at /metrics']
+  },
+  mirror: {
+    value: '<topic>',
+    description: ['The destination topic']
+  },
+  mirrorProfile: {
+    flag: '--mirror-profile',
+    value: '<name>',
+    description: ['Connection profile of the destination (default: same connection)']
+  },
+  nackDelay: {
+    flag: '--nack-delay',
+    value: '<delay>',
+    description: ['Redelivery delay of nacked messages (e.g., 5s) (default: 1m)']
+  },
+  nonPersistent: {
+    flag: '--non-persistent',
+    description: ['Use non-persistent topics for names without a domain']
+  },
+  output: {
+    flag: '--output',
+    alias: '-o',
+    value: '<format>',
+    choices: CONFIG.output.validFormats,
+    description: [
+      'Output format of received messages (default: text)',
+      'text: one human-readable line per message',
+      'json, ndjson: topic, messageId, key, properties, publishTime,',
+      '  eventTime, redeliveryCount and payload',
+      'raw, hex, base64: payload only',
+      'Status messages are written to stderr'
+    ]
+  },
+  partition: {
+    flag: '--partition',
+    value: '<n>',
+    description: ['Target a single partition of a partitioned topic']
+  },
+  partitions: {
+    flag: '--partitions',
+    value: '<n>',
+    description: ['Create a partitioned topic with n partitions (topics create)']
+  },
+  payload: {
+    flag: '--payload',
+    value: '<template>',
+    description: [
+      'Send a template, with placeholders replaced for each message',
+      '(default: "Test message #{{seq}}", random payloads with --benchmark)',
+      '{{seq}}, {{uuid}}, {{timestamp}} (ms since epoch), {{date}} (ISO 8601),',
+      '{{randomInt:min:max}}, {{randomFloat:min:max}}, {{randomString:length}},',
+      '{{randomChoice:a|b|c}}'
+    ]
+  },
+  payloadFile: {
+    flag: '--payload-file',
+    value: '<file>',
+    path: true,
+    description: ['Send lines of a file, picked at random']
+  },
+  producers: {
+    flag: '--producers',
+    value: '<n>',
+    description: ['Number of producers (default: 1)']
+  },
+  profile: {
+    flag: '--profile',
+    value: '<name>',
+    description: [
+      'Use a named connection profile from the config file',
+      '(default: PULSAR_COMPANION_PROFILE or the file\'s defaultProfile)'
+    ]
+  },
+  property: {
+    flag: '--property',
+    value: '<key=value>',
+    repeatable: true,
+    description: ['Set a message property (repeatable)']
+  },
+  quiet: {
+    flag: '--quiet',
+    alias: '-q',
+    description: ['Only log errors']
+  },
+  rate: {
+    flag: '--rate',
+    value: '<n>',
+    description: ['Target rate in messages per second, across producers (default: unlimited)']
+  },
+  replay: {
+    flag: '--replay',
+    description: ['Keep the original gaps between publish times']
+  },
+  retryTopic: {
+    flag: '--retry-topic',
+    value: '<name>',
+    description: [
+      'With --ack-mode nack, republish nacked messages to this topic after',
+      '--nack-delay instead, and consume it too. After --max-redeliveries',
+      'retries, messages go to the dead-letter topic'
+    ]
+  },
+  schema: {
+    flag: '--schema',
+    value: '<type>',
+    choices: CONFIG.schema.validTypes,
+    description: ['Validate and encode, or decode, payloads with a schema', `Valid types: ${CONFIG.schema.validTypes.join(', ')}`]
+  },
+  schemaFile: {
+    flag: '--schema-file',
+    value: '<path>',
+    path: true,
+    description: ['Avro schema definition (JSON), required for json and avro']
+  },
+  send: {
+    value: '<message>',
+    description: ['The message to send']
+  },
+  shell: {
+    value: '<shell>',
+    choices: CONFIG.completion.validShells,
+    description: ['The shell: bash or zsh']
+  },
+  since: {
+    flag: '--since',
+    value: '<position>',
+    description: [
+      'Where to start reading (default: earliest)',
+      'Values: earliest, latest, ISO 8601 timestamp (e.g., "2024-01-20T10:00:00Z"),',
+      'ms since epoch, or message ID ledger:entry[:partition[:batch]] (excluded)'
+    ]
+  },
+  size: {
+    flag: '--size',
+    value: '<bytes>',
+    description: [
+      'Send random alphanumeric payloads of this size (default: 1024 with --benchmark)',
+      'Also min-max for sizes spread uniformly, or mean~deviation for a normal spread'
+    ]
+  },
+  speed: {
+    flag: '--speed',
+    value: '<multiplier>',
+    description: ['Replay faster or slower (e.g., 10, 0.5) (default: 1, requires --replay)']
+  },
+  subscription: {
+    flag: '--sub',
+    alias: '-s',
+    value: '<name>',
+    description: ['Set subscription name (default: pulsar_companion_sub)']
+  },
+  tenant: {
+    flag: '--tenant',
+    value: '<name>',
+    description: ['List the namespaces of another tenant (default: the profile\'s tenant)']
+  },
+  threads: {
+    flag: '--threads',
+    alias: '-t',
+    value: '<n>',
+    description: ['Number of IO threads (default: 1)']
+  },
+  to: {
+    flag: '--to',
+    value: '<position>',
+    description: [
+      'End of the range, included (default: end of the topic)',
+      'Values: ISO 8601 timestamp, ms since epoch or message ID'
+    ]
+  },
+  topic: {
+    flag: '--topic',
+    value: '<name>',
+    repeatable: true,
+    description: [
+      'Specify topic name (default: pulsar_companion)',
+      'Short names are in the profile\'s namespace, tenant/namespace/topic',
+      'and persistent:// or non-persistent:// names are used as given'
+    ]
+  },
+  topicPattern: {
+    flag: '--topic-pattern',
+    value: '<regex>',
+    description: [
+      'Subscribe to the topics of the namespace matching a pattern,',
+      'including topics created later (e.g., "orders-.*")'
+    ]
+  },
+  type: {
+    flag: '--type',
+    value: '<type>',
+    choices: CONFIG.validTypes,
+    description: ['Set subscription type (default: Exclusive)', `Valid types: ${CONFIG.validTypes.join(', ')}`]
+  },
+  until: {
+    flag: '--until',
+    value: '<timestamp>',
+    description: ['Stop at this time, or at the first message published after it']
+  },
+  untilEnd: {
+    flag: '--until-end',
+    description: ['Stop once the end of the topic is reached']
+  },
+  verbose: {
+    flag: '--verbose',
+    description: ['Log debug information, including the Pulsar client\'s own logs']
+  },
+  version: {
+    flag: '--version',
+    alias: '-v',
+    description: ['Show version']
+  },
+  zipfExponent: {
+    flag: '--zipf-exponent',
+    value: '<s>',
+    description: ['Skew of the zipf strategy, higher being more skewed (default: 1)']
+  }
+};
+
+/**
+ * Options accepted by every command
+ */
+export const COMMON_OPTIONS = ['profile', 'quiet', 'verbose', 'logLevel', 'logFormat', 'help', 'version'];
+
+const FILTER_SECTION = {
+  title: 'Filter Options (all given filters must match)',
+  options: ['filterKey', 'filterKeyRegex', 'filterProperty', 'filterPayload', 'filterJson'],
+  notes: ['Non-matching messages are still acknowledged, and do not count towards --max-messages']
+};
+
+const TOPIC_OPTIONS = ['topic', 'nonPersistent', 'partition'];
+
+/**
+ * Subcommands, indexed by name, with the execution mode they run
+ * Positional arguments are stored as parameters, like options. Section entries are parameter names,
+ * or [name, description] pairs where the command gives an option another meaning.
+ */
+export const COMMANDS = {
+  produce: {
+    mode: 'PRODUCER',
+    summary: 'Send a message, or the records of a file',
+    positionals: [{ name: 'send', required: false }],
+    sections: [
+      {
+        title: 'Options',
+        options: [
+          ...TOPIC_OPTIONS, 'key', 'property', 'eventTime', 'deliverAfter', 'deliverAt', 'compression', 'threads',
+          'schema', 'schemaFile', 'metricsPort'
+        ]
+      },
+      { title: 'Bulk Options', options: ['file', 'format'] }
+    ],
+    examples: [
+      'produce "Hello" --topic "myTopic"',
+      'produce "Hello" --key "key1" --property "region=eu" --property "source=cli"',
+      'produce "Hello" --deliver-after 5m',
+      'produce --topic "myTopic" -- "--starts-with-dashes"',
+      'produce \'{"id": 1}\' --schema avro --schema-file user.avsc',
+      'produce --file fixtures.ndjson --format ndjson --topic "myTopic"',
+      'produce --file - --topic "myTopic" < payloads.txt'
+    ]
+  },
+  consume: {
+    mode: 'CONSUMER',
+    summary: 'Consume messages with a subscription',
+    positionals: [],
+    sections: [
+      {
+        title: 'Options',
+        options: [
+          'topic', 'topicPattern', 'nonPersistent', 'partition', 'subscription', 'type', 'initialPosition', 'output',
+          'schema', 'schemaFile', 'metricsPort'
+        ]
+      },
+      {
+        title: 'Acknowledgment Options',
+        options: ['ackMode', 'ackCumulative', 'nackDelay', 'maxRedeliveries', 'dlqTopic', 'retryTopic']
+      },
+      {
+        title: 'Bound Options',
+        options: ['maxMessages', 'until', 'idleTimeout', 'expect']
+      },
+      FILTER_SECTION
+    ],
+    notes: ['Several topics can be given, with --topic repeated or comma-separated.'],
+    examples: [
+      'consume --topic "myTopic" --type Failover --sub "my_sub"',
+      'consume --topic "orders,payments" --topic "refunds"',
+      'consume --topic-pattern "orders-.*"',
+      'consume --topic "myTopic" --type Shared --ack-mode nack --nack-delay 5s --max-redeliveries 3',
+      'consume --topic "myTopic" --idle-timeout 30s --expect 10',
+      'consume --topic "myTopic" --filter-key-regex "^order-" --filter-json \'$.status=failed\'',
+      'consume --topic "myTopic" --type Shared --metrics-port 9464'
+    ]
+  },
+  read: {
+    mode: 'READER',
+    summary: 'Read messages without subscription, from a position',
+    positionals: [],
+    sections: [
+      {
+        title: 'Options',
+        options: [...TOPIC_OPTIONS, 'since', 'inclusive', 'checkpoint', 'output', 'schema', 'schemaFile', 'metricsPort']
+      },
+      { title: 'Bound Options', options: ['maxMessages', 'until', 'idleTimeout', 'untilEnd', 'expect'] },
+      FILTER_SECTION
+    ],
+    examples: [
+      'read --topic "myTopic" --until-end',
+      'read --topic "myTopic" --since "2024-01-20T10:00:00Z" -o ndjson | jq .payload',
+      'read --topic "myTopic" --since 123:45:-1:-1 --inclusive',
+      'read --topic "persistent://tenant/ns/orders" --partition 3',
+      'read --topic "myTopic" --checkpoint reader.pos --idle-timeout 30s'
+    ]
+  },
+  export: {
+    mode: 'EXPORT',
+    summary: 'Write the messages of a topic to an archive',
+    positionals: [{ name: 'export', required: true }],
+    sections: [{ title: 'Options', options: [...TOPIC_OPTIONS, 'from', 'to', 'archiveFormat'] }, FILTER_SECTION],
+    examples: [
+      'export backup.ndjson --topic "myTopic"',
+      'export - --topic "myTopic" --from "2024-01-20T10:00:00Z" --to "2024-01-20T11:00:00Z"',
+      'export backup.bin --topic "myTopic" --format binary --from 123:45'
+    ]
+  },
+  import: {
+    mode: 'IMPORT',
+    summary: 'Republish the messages of an archive',
+    positionals: [{ name: 'import', required: true }],
+    sections: [
+      { title: 'Options', options: [...TOPIC_OPTIONS, 'archiveFormat', 'replay', 'speed', 'compression', 'threads'] }
+    ],
+    examples: ['import backup.ndjson --topic "otherTopic" --replay --speed 10']
+  },
+  mirror: {
+    mode: 'MIRROR',
+    summary: 'Copy the messages of a topic to another topic until stopped',
+    positionals: [{ name: 'mirror', required: true }],
+    sections: [
+      {
+        title: 'Options',
+        options: [
+          ...TOPIC_OPTIONS,
+          'mirrorProfile',
+          ['subscription', ['Set subscription name (default: pulsar_companion_mirror_sub)']],
+          ['type', ['Set subscription type (default: Failover)']],
+          'initialPosition',
+          ['compression', ['Compression type of the destination producer (default: NONE)']],
+          'threads',
+          'metricsPort'
+        ]
+      }
+    ],
+    notes: ['Messages are acknowledged once republished, keeping key, properties and event time.'],
+    examples: [
+      'mirror "orders_copy" --topic "orders"',
+      'mirror "orders" --topic "orders" --mirror-profile new-cluster'
+    ]
+  },
+  interactive: {
+    mode: 'INTERACTIVE',
+    summary: 'Switch topics, send, peek and consume on a single connection',
+    positionals: [],
+    sections: [{ title: 'Options', options: ['topic', 'threads'] }],
+    notes: ['Type help in the session for its commands.'],
+    examples: ['interactive --topic "orders"']
+  },
+  topics: {
+    mode: 'ADMIN',
+    summary: 'List, create, delete or show the statistics of topics',
+    positionals: [
+      { name: 'action', required: true, choices: CONFIG.admin.commands.topics },
+      { name: 'adminTopic', required: false }
+    ],
+    sections: [{ title: 'Options', options: ['partitions', 'nonPersistent', 'adminOutput'] }],
+    notes: [
+      'Actions: list, create <topic>, delete <topic> (with all its partitions), stats <topic>.',
+      'The admin URL is the profile\'s adminUrl, or derived from its service URL (port 8080, or 8443 with TLS).'
+    ],
+    examples: ['topics list', 'topics create orders --partitions 4', 'topics stats orders -o json']
+  },
+  namespaces: {
+    mode: 'ADMIN',
+    summary: 'List the namespaces of a tenant',
+    positionals: [{ name: 'action', required: true, choices: CONFIG.admin.commands.namespaces }],
+    sections: [{ title: 'Options', options: ['tenant', 'adminOutput'] }],
+    examples: ['namespaces list --tenant public']
+  },
+  subscriptions: {
+    mode: 'ADMIN',
+    summary: 'List, reset, skip, clear or delete the subscriptions of a topic',
+    positionals: [
+      { name: 'action', required: true, choices: CONFIG.admin.commands.subscriptions },
+      { name: 'adminTopic', required: false }
+    ],
+    sections: [
+      {
+        title: 'Options',
+        options: [
+          ['subscription', ['Subscription name, required except by list']],
+          [
+            'to',
+            [
+              'Position to reset to: timestamp (ISO 8601 or ms since epoch) or message ID',
+              'ledger:entry[:partition[:batch]], included'
+            ]
+          ],
+          ['count', ['Number of messages to skip (non-partitioned topics)']],
+          'nonPersistent',
+          'adminOutput'
+        ]
+      }
+    ],
+    notes: [
+      'Actions: list <topic>, reset <topic> --sub <sub> --to <position>, skip <topic> --sub <sub> --count <n>,',
+      'clear <topic> --sub <sub> (skip the whole backlog), delete <topic> --sub <sub>.'
+    ],
+    examples: ['subscriptions list orders', 'subscriptions reset orders --sub billing --to "2024-01-20T10:00:00Z"']
+  },
+  completion: {
+    mode: 'COMPLETION',
+    summary: 'Print a shell completion script',
+    positionals: [{ name: 'shell', required: true }],
+    sections: [],
+    examples: [
+      'completion bash > /etc/bash_completion.d/pulsar-companion',
+      'completion zsh > "${fpath[1]}/_pulsar-companion"'
+    ]
+  },
+  help: {
+    mode: 'HELP',
+    summary: 'Show the help of a command',
+    positionals: [{ name: 'helpCommand', required: false }],
+    sections: [],
+    examples: ['help consume']
+  }
+};
+
+COMMANDS.help.positionals[0].choices = Object.keys(COMMANDS);
+
+/**
+ * Options of the stress tool, which has no subcommands and its own help
+ * Examples are given without the program name, as for subcommands.
+ */
+export const STRESS_COMMAND = {
+  mode: 'STRESS',
+  summary: 'Pulsar Companion Stress Test Tool',
+  positionals: [],
+  sections: [
+    {
+      title: 'Options',
+      options: [...TOPIC_OPTIONS, 'count', 'delay', 'compression', 'threads', 'metricsPort']
+    },
+    {
+      title: 'Benchmark Options',
+      options: ['benchmark', 'producers', 'concurrency', 'rate', 'duration', 'json']
+    },
+    {
+      title: 'Payload Options',
+      options: ['payload', 'payloadFile', 'size', 'keys', 'keyCount', 'zipfExponent']
+    },
+    {
+      title: 'Consumer Benchmark Options',
+      options: [
+        'consume',
+        ['subscription', ['Set subscription name (default: pulsar_companion_stress_sub)']],
+        'type',
+        ['count', ['Stop once this number of messages is received (default: run until stopped)']],
+        ['duration', ['Stop after a duration, counted from the first message']],
+        'json'
+      ]
+    }
+  ],
+  examples: [
+    '--count 1000 --delay 50 --topic "myTopic"',
+    '--topic "testTopic" --count 500',
+    '--benchmark --producers 4 --concurrency 500 --duration 1m',
+    '--benchmark --rate 5000 --count 100000 --json > report.json',
+    '--payload \'{"id": "{{uuid}}", "amount": {{randomInt:1:500}}}\' --keys zipf --key-count 100',
+    '--benchmark --size 256-4096 --keys uniform --key-count 1000',
+    '--consume --count 100000'
+  ]
+};
+
+/**
+ * Returns the options of a command with their description for this command, common options included
+ * @param {object} command - The command definition
+ * @returns {Array<[string, string[]]>} The parameter names and description lines
+ */
+export function getCommandEntries(command) {
+  const params = [...command.sections.flatMap((section) => section.options), ...COMMON_OPTIONS];
+  return params.map((entry) => Array.isArray(entry) ? entry : [entry, OPTIONS[entry].description]);
+}
+
+/**
+ * Returns the parameter names of the options of a command, common options included
+ * @param {object} command - The command definition
+ * @returns {string[]} The parameter names
+ */
+export function getCommandOptions(command) {
+  return getCommandEntries(command).map(([param]) => param);
+}
@@ -0,0 +1,173 @@
+import { COMMANDS, OPTIONS, getCommandEntries } from './commands.js';
+
+const PROGRAM_NAME = 'pulsar-companion';
+
+/**
+ * Returns the flags of an option, its alias first
+ * @param {object} option - The option definition
+ * @returns {string[]} The flags
+ */
+function getFlags(option) {
+  return option.alias ? [option.alias, option.flag] : [option.flag];
+}
+
+/**
+ * Returns the accepted values of a positional argument, from the command or the option definition
+ * @param {{name: string, choices?: string[]}} positional - The positional argument of the command
+ * @returns {string[]|undefined} The values, undefined if free
+ */
+function getPositionalChoices(positional) {
+  return positional.choices || OPTIONS[positional.name].choices;
+}
+
+/**
+ * Generates the case of a command in the bash completion function
+ * Option values are completed from their choices, or as file paths, and the first argument likewise.
+ * @param {string} name - The command name
+ * @param {object} command - The command definition
+ * @returns {string} The case lines
+ */
+function generateBashCase(name, command) {
+  const options = getCommandEntries(command).map(([param]) => OPTIONS[param]);
+  const valueCases = options.filter((option) => option.value).map((option) => {
+    const pattern = getFlags(option).join('|');
+    if (option.choices) return `        ${pattern}) COMPREPLY=($(compgen -W "${option.choices.join(' ')}" -- "$cur")); return ;;`;
+    if (option.path) return `        ${pattern}) COMPREPLY=($(compgen -f -- "$cur")); return ;;`;
+    return `        ${pattern}) return ;;`;
+  });
+
+  const lines = [`    ${name})`];
+  if (valueCases.length > 0) lines.push('      case "$prev" in', ...valueCases, '      esac');
+
+  const [positional] = command.positionals;
+  if (positional) {
+    const choices = getPositionalChoices(positional);
+    const reply = choices
+      ? `COMPREPLY=($(compgen -W "${choices.join(' ')}" -- "$cur"))`
+      : OPTIONS[positional.name].path ? 'COMPREPLY=($(compgen -f -- "$cur"))' : null;
+    if (reply) lines.push(`      if [[ $COMP_CWORD -eq 2 && $cur != -* ]]; then ${reply}; return; fi`);
+  }
+
+  lines.push(`      options="${options.flatMap(getFlags).join(' ')}"`, '      ;;');
+  return lines.join('\n');
+}
+
+/**
+ * Generates the bash completion script
+ * @returns {string} The script, to source or install in bash_completion.d
+ */
+function generateBash() {
+  const cases = Object.entries(COMMANDS).map(([name, command]) => generateBashCase(name, command));
+
+  return `# bash completion for ${PROGRAM_NAME}, generated by "${PROGRAM_NAME} completion bash"
+_pulsar_companion() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}" prev="\${COMP_WORDS[COMP_CWORD-1]}" options
+  if [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=($(compgen -W "${Object.keys(COMMANDS).join(' ')} --help --version" -- "$cur"))
+    return
+  fi
+  case "\${COMP_WORDS[1]}" in
+${cases.join('\n')}
+    *) return ;;
+  esac
+  COMPREPLY=($(compgen -W "$options" -- "$cur"))
+}
+complete -F _pulsar_companion ${PROGRAM_NAME}
+`;
+}
+
+/**
+ * Escapes a description for zsh, quoted with single quotes
+ * @param {string} text - The description
+ * @param {RegExp} special - The characters to escape with a backslash
+ * @returns {string} The escaped description
+ */
+function escapeZsh(text, special) {
+  return text.replace(special, '\\$&').replace(/'/g, '\'\\\'\'');
+}
+
+/**
+ * Returns the zsh action completing the value of an option or argument
+ * @param {string} label - The value label, such as "type"
+ * @param {string[]|undefined} choices - The accepted values
+ * @param {boolean} path - Whether the value is a file path
+ * @returns {string} The message and action, such as "type:(NONE LZ4)"
+ */
+function getZshAction(label, choices, path) {
+  if (choices) return `${label}:(${choices.join(' ')})`;
+  return path ? `${label}:_files` : `${label}: `;
+}
+
+/**
+ * Generates the _arguments specs of a command, for zsh
+ * @param {object} command - The command definition
+ * @returns {string[]} The specs, quoted
+ */
+function generateZshSpecs(command) {
+  const positionals = command.positionals.map((positional, index) => {
+    const option = OPTIONS[positional.name];
+    const label = option.value.slice(1, -1);
+    const action = getZshAction(label, getPositionalChoices(positional), option.path);
+    return `'${index + 1}:${positional.required ? '' : ':'}${action}'`;
+  });
+
+  const options = getCommandEntries(command).map(([param, description]) => {
+    const option = OPTIONS[param];
+    // Only the first line is shown, without the punctuation continuing on the next ones
+    const help = `[${escapeZsh(description[0].replace(/,$/, ''), /[\\[\]]/g)}]`;
+    const value = option.value ? `:${getZshAction(option.value.slice(1, -1), option.choices, option.path)}` : '';
+    const suffix = option.value ? '=' : '';
+    if (option.alias) {
+      return `'(${option.alias} ${option.flag})'{${option.alias},${option.flag}${suffix}}'${help}${value}'`;
+    }
+    return `'${option.repeatable ? '*' : ''}${option.flag}${suffix}${help}${value}'`;
+  });
+
+  return [...positionals, ...options];
+}
+
+/**
+ * Generates the zsh completion script
+ * @returns {string} The script, to install as _pulsar-companion in a directory of $fpath
+ */
+function generateZsh() {
+  const commands = Object.entries(COMMANDS).map(([name, command]) => `    '${name}:${escapeZsh(command.summary, /[\\:]/g)}'`);
+  const cases = Object.entries(COMMANDS).map(([name, command]) => {
+    const specs = generateZshSpecs(command).map((spec) => `        ${spec}`);
+    return `    ${name})\n      _arguments -S \\\n${specs.join(' \\\n')}\n      ;;`;
+  });
+
+  return `#compdef ${PROGRAM_NAME}
+# zsh completion for ${PROGRAM_NAME}, generated by "${PROGRAM_NAME} completion zsh"
+
+_pulsar_companion() {
+  local -a commands
+  commands=(
+${commands.join('\n')}
+  )
+
+  if (( CURRENT == 2 )); then
+    _describe -t commands command commands
+    return
+  fi
+
+  local command=$words[2]
+  shift words
+  (( CURRENT-- ))
+  case $command in
+${cases.join('\n')}
+  esac
+}
+
+_pulsar_companion "$@"
+`;
+}
+
+/**
+ * Generates a completion script for a shell, from the command and option definitions
+ * @param {string} shell - The shell: bash or zsh
+ * @returns {string} The completion script
+ */
+export function generateCompletion(shell) {
+  return shell === 'zsh' ? generateZsh() : generateBash();
+}
@@ -1,15 +1,94 @@
 export const CONFIG = {
+  admin: {
+    commands: {
+      namespaces: ['list'],
+      subscriptions: ['clear', 'delete', 'list', 'reset', 'skip'],
+      topics: ['create', 'delete', 'list', 'stats']
+    },
+    defaultOutput: 'table',
+    timeoutMs: 30000,
+    validOutputs: ['table', 'json']
+  },
+  archive: {
+    defaultFormat: 'ndjson',
+    validFormats: ['ndjson', 'binary']
+  },
+  auth: {
+    defaultType: 'none',
+    requiredFields: {
+      none: [],
+      token: ['token'],
+      tls: ['certificatePath', 'privateKeyPath'],
+      oauth2: ['issuerUrl', 'clientId'],
+      basic: ['username', 'password']
+    }
+  },
+  bulk: {
+    defaultFormat: 'lines',
+    maxPendingSends: 1000,
+    validFormats: ['lines', 'ndjson']
+  },
+  completion: {
+    validShells: ['bash', 'zsh']
+  },
+  consumer: {
+    defaultAckMode: 'auto',
+    defaultNackDelayMs: 60000,
+    pollIntervalMs: 1000,
+    validAckModes: ['auto', 'none', 'nack']
+  },
   defaultCompression: 'NONE',
   defaultKey: "default",
-  defaultReadPosition: 'latest',
   defaultThreads: 1,
   defaultTopic: 'pulsar_companion',
   defaultType: 'Exclusive',
+  interactive: {
+    defaultPeekCount: 10,
+    historyFile: 'history',
+    historySize: 500,
+    subscriptionName: 'pulsar_companion_interactive_sub'
+  },
+  logging: {
+    defaultFormat: 'text',
+    defaultLevel: 'info',
+    // From the least to the most verbose
+    validLevels: ['error', 'warn', 'info', 'debug'],
+    validFormats: ['text', 'json']
+  },
+  metrics: {
+    // Upper bounds of the latency histogram buckets
+    latencyBucketsMs: [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+    path: '/metrics',
+    prefix: 'pulsar_companion'
+  },
+  mirror: {
+    defaultType: 'Failover',
+    maxPendingSends: 1000,
+    reportIntervalMs: 10000,
+    subscriptionName: 'pulsar_companion_mirror_sub'
+  },
+  output: {
+    defaultFormat: 'text',
+    validFormats: ['text', 'json', 'ndjson', 'raw', 'hex', 'base64']
+  },
+  profiles: {
+    defaultName: 'default',
+    fields: ['serviceUrl', 'namespace'],
+    optionalFields: ['adminUrl'],
+    envVars: {
+      adminUrl: 'PULSAR_COMPANION_ADMIN_URL',
+      profile: 'PULSAR_COMPANION_PROFILE',
+      serviceUrl: 'PULSAR_COMPANION_SERVICE_URL',
+      token: 'PULSAR_COMPANION_TOKEN',
+      namespace: 'PULSAR_COMPANION_NAMESPACE'
+    }
+  },
   subscription: {
-    defaultName: 'pulsar_companion_sub'
+    defaultInitialPosition: 'latest',
+    defaultName: 'pulsar_companion_sub',
+    validInitialPositions: ['earliest', 'latest']
   },
   validCompressionTypes: ['NONE', 'LZ4', 'ZLIB', 'ZSTD', 'SNAPPY'],
-  validReadPositions: ['earliest', 'latest'],
   validTypes: ['Exclusive', 'Failover', 'Shared', 'KeyShared'],
   pulsar: {
     timeouts: {
@@ -21,63 +100,53 @@ export const CONFIG = {
   reader: {
     queueSize: 1000
   },
+  schema: {
+    validTypes: ['json', 'avro', 'string']
+  },
   stress: {
+    defaultBenchmarkCount: 10000,
+    defaultConcurrency: 100,
     defaultCount: 100,
-    defaultDelay: 10
+    defaultDelay: 10,
+    defaultKeyStrategy: 'round-robin',
+    defaultMessageSize: 1024,
+    defaultProducers: 1,
+    defaultTemplate: 'Test message #{{seq}}',
+    defaultZipfExponent: 1,
+    keyCount: 5,
+    reportIntervalMs: 1000,
+    sendTimeProperty: 'pulsar-companion-send-time',
+    subscriptionName: 'pulsar_companion_stress_sub',
+    validKeyStrategies: ['none', 'round-robin', 'uniform', 'zipf']
   },
   help: {
-    main: `
-Pulsar Companion - A companion CLI tool for Apache Pulsar
-
-Usage:
-  npx pulsar-companion [options]
-
-Common Options:
-  --topic <name>            Specify topic name (default: pulsar_companion_topic)
-  -h, --help                Show this help message
-  -v, --version             Show version
-
-Producer Options:
-  --send <message>          Send a message to the topic
-  --key <key>               Set message key
-  -t, --threads <n>         Number of IO threads (default: 1)
-  -c, --compression <type>  Compression type (default: NONE)
-                              Valid types: NONE, LZ4, ZLIB, ZSTD, SNAPPY
-
-Consumer Options:
-  --type <type>             Set subscription type (default: Exclusive)
-                              Valid types: Exclusive, Failover, Shared, KeyShared
-  -s, --sub <name>          Set subscription name (default: pulsar_companion_sub)
-  --since <value>           Read messages without subscription from a position
-                              Values: earliest, latest
-                              Or ISO 8601 timestamp (e.g., "2024-01-20T10:00:00Z")
-
-Examples:
-  # Producer examples
-  npx pulsar-companion --send "Hello" --topic "myTopic"
-  npx pulsar-companion --send "Hello" --key "key1" --topic "myTopic"
-
-  # Consumer examples
-  npx pulsar-companion --topic "myTopic" --type "Failover" -s "my_sub"
-  npx pulsar-companion --topic "myTopic" --since earliest
-  npx pulsar-companion --topic "myTopic" --since "2024-01-20T10:00:00Z"
+    environment: `
+Environment:
+  PULSAR_COMPANION_PROFILE        Profile to use when --profile is not set
+  PULSAR_COMPANION_SERVICE_URL    Override the profile's service URL
+  PULSAR_COMPANION_TOKEN          Override the profile's authentication with this token
+  PULSAR_COMPANION_NAMESPACE      Override the profile's namespace
+  PULSAR_COMPANION_ADMIN_URL      Override the profile's admin API URL
 `,
-    stress: `
-Pulsar Companion Stress Test Tool
-
-Usage:
-  npx pulsar-companion-stress [options]
-
-Options:
-  --topic <name>      Specify topic name (default: testNode)
-  --count <number>    Number of messages to send (default: 100)
-  --delay <ms>        Delay between messages in ms (default: 100)
-  -h, --help          Show this help message
-  -v, --version       Show version
+    interactive: `
+Commands:
+  topic [name]                    Show the current topic, or switch to another one
+  send [message]                  Send a message to the current topic, prompting for it if omitted
+    --key <key>                     Set the message key
+    --property <key=value>          Set a message property (repeatable)
+  peek [n]                        Print the next n messages of the current topic (default: 10),
+                                    from the earliest one on the first peek
+  seek <position>                 Move the peek position: earliest, latest or a timestamp
+                                    (ISO 8601 or ms since epoch)
+  consume start [subscription]    Consume the current topic in the background, printing messages
+                                    before each prompt (default: pulsar_companion_interactive_sub)
+  consume stop                    Stop the background consumer
+  status                          Show the current topic, peek reader and background consumer
+  help                            Show this help message
+  exit, quit                      End the session (or Ctrl-C, Ctrl-D)
 
-Examples:
-  npx pulsar-companion-stress --count 1000 --delay 50 --topic "myTopic"
-  npx pulsar-companion-stress --topic "testTopic" --count 500
+Up and down keys browse the command history, Tab completes commands, options and topics.
+Press Enter on an empty line to show messages received in the background.
 `
   }
 };
@@ -0,0 +1,129 @@
+import { CONFIG } from './config.js';
+import { COMMANDS, COMMON_OPTIONS, OPTIONS, STRESS_COMMAND } from './commands.js';
+
+const PROGRAM = 'npx pulsar-companion';
+const STRESS_PROGRAM = 'npx pulsar-companion-stress';
+const OPTION_COLUMN = 28;
+
+/**
+ * Formats an option column and its description lines, continuation lines being indented
+ * @param {string} label - The option column, such as "-c, --compression <type>"
+ * @param {string[]} description - The description lines
+ * @returns {string} The formatted lines
+ */
+function formatEntry(label, description) {
+  const [first = '', ...rest] = description;
+  const head = label.length < OPTION_COLUMN - 2
+    ? `  ${label.padEnd(OPTION_COLUMN - 2)}${first}`
+    : `  ${label}\n${' '.repeat(OPTION_COLUMN)}${first}`;
+  return [head, ...rest.map((line) => `${' '.repeat(OPTION_COLUMN + 2)}${line}`)].join('\n');
+}
+
+/**
+ * Formats the flag, alias and value placeholder of an option
+ * @param {object} option - The option definition
+ * @returns {string} The option label
+ */
+function formatOptionLabel(option) {
+  const flags = option.alias ? `${option.alias}, ${option.flag}` : option.flag;
+  return option.value ? `${flags} ${option.value}` : flags;
+}
+
+/**
+ * Formats the usage line of a command
+ * @param {string} name - The command name
+ * @returns {string} The usage line
+ */
+export function formatUsage(name) {
+  const positionals = COMMANDS[name].positionals.map(({ name: param, required }) => {
+    const placeholder = OPTIONS[param].value.slice(1, -1);
+    return required ? `<${placeholder}>` : `[${placeholder}]`;
+  });
+  return [PROGRAM, name, ...positionals, '[options]'].join(' ');
+}
+
+/**
+ * Formats the overview of all commands
+ * @returns {string} The help message
+ */
+export function formatMainHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length)) + 4;
+  const commands = Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}${command.summary}`);
+  const common = COMMON_OPTIONS.map((param) => formatEntry(formatOptionLabel(OPTIONS[param]), OPTIONS[param].description));
+
+  return `
+Pulsar Companion - A companion CLI tool for Apache Pulsar
+
+Usage:
+  ${PROGRAM} <command> [arguments] [options]
+
+Commands:
+${commands.join('\n')}
+
+Common Options:
+${common.join('\n')}
+
+Options are given as --option value or --option=value. Arguments after -- are never read as options,
+for messages starting with a dash.
+${CONFIG.help.environment}
+Run "${PROGRAM} help <command>" for the arguments, options and examples of a command.
+`;
+}
+
+/**
+ * Formats the help of a command: usage, arguments, options by section, notes and examples
+ * @param {string} name - The command name
+ * @returns {string} The help message
+ */
+export function formatCommandHelp(name) {
+  const command = COMMANDS[name];
+  const blocks = [`${command.summary}\n\nUsage:\n  ${formatUsage(name)}`];
+
+  if (command.positionals.length > 0) {
+    const positionals = command.positionals.map(({ name: param, choices }) => {
+      const option = OPTIONS[param];
+      const description = choices ? [...option.description, `Valid values: ${choices.join(', ')}`] : option.description;
+      return formatEntry(option.value, description);
+    });
+    blocks.push(`Arguments:\n${positionals.join('\n')}`);
+  }
+
+  blocks.push(...formatOptionBlocks(command, PROGRAM));
+  return `\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Formats the help of the stress tool, from its options like the help of a command
+ * @returns {string} The help message
+ */
+export function formatStressHelp() {
+  const blocks = [`${STRESS_COMMAND.summary}\n\nUsage:\n  ${STRESS_PROGRAM} [options]`];
+  blocks.push(...formatOptionBlocks(STRESS_COMMAND, STRESS_PROGRAM));
+  return `\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Formats the option sections, common options, notes and examples of a command
+ * @param {object} command - The command definition
+ * @param {string} prefix - The program name, preceding each example
+ * @returns {string[]} The help blocks
+ */
+function formatOptionBlocks(command, prefix) {
+  const blocks = command.sections.map((section) => {
+    const entries = section.options.map((entry) => {
+      const [param, description] = Array.isArray(entry) ? entry : [entry, OPTIONS[entry].description];
+      return formatEntry(formatOptionLabel(OPTIONS[param]), description);
+    });
+    const notes = (section.notes || []).map((note) => `  ${note}`);
+    return [`${section.title}:`, ...entries, ...notes].join('\n');
+  });
+
+  const common = COMMON_OPTIONS.map((param) => formatEntry(formatOptionLabel(OPTIONS[param]), OPTIONS[param].description));
+  blocks.push(`Common Options:\n${common.join('\n')}`);
+
+  if (command.notes) blocks.push(command.notes.join('\n'));
+  if (command.examples.length > 0) {
+    blocks.push(`Examples:\n${command.examples.map((example) => `  ${prefix} ${example}`).join('\n')}`);
+  }
+  return blocks;
+}
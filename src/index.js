@@ -0,0 +1,30 @@
+/**
+ * Pulsar Companion library entry point
+ * PulsarManager connects with a profile of the configuration file, or with a connection given as is, then creates
+ * producers, consumers and readers from plain option objects. Consumers and readers are async iterables of decoded
+ * message records, and every component reports its lifecycle through events: nothing is written to stdout and the
+ * process is never exited, which is left to the command-line tools built on top of it.
+ * @example
+ * import { CONFIG, PulsarManager } from 'pulsar-companion';
+ *
+ * const manager = new PulsarManager(CONFIG, { profile: 'staging' });
+ * await manager.connect();
+ * const reader = await manager.createReader({ topic: 'orders', since: 'earliest', bounds: { untilEnd: true } });
+ * for await (const message of reader) {
+ *   console.log(message.messageId, message.payload);
+ * }
+ * await manager.cleanup();
+ * @module pulsar-companion
+ */
+export { CONFIG } from './config.js';
+export { PulsarManager } from './PulsarManager.js';
+export { PulsarProducer } from './PulsarProducer.js';
+export { PulsarConsumer } from './PulsarConsumer.js';
+export { ConfigManager } from './ConfigManager.js';
+export { SchemaCodec } from './SchemaCodec.js';
+export { MessageFormatter } from './MessageFormatter.js';
+export { MessageFilter } from './MessageFilter.js';
+export { MetricsServer } from './MetricsServer.js';
+export { toMessageRecord } from './messageRecord.js';
+export { formatMessageId, parseMessageId } from './messageId.js';
+export { isValidTopicName, resolveTopicName } from './topicName.js';
@@ -0,0 +1,82 @@
+/**
+ * Encodes an unsigned integer as a protobuf varint
+ * @param {bigint} value - The value to encode
+ * @returns {number[]} The encoded bytes
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining > 0x7fn) {
+    bytes.push(Number(remaining & 0x7fn) | 0x80);
+    remaining >>= 7n;
+  }
+  bytes.push(Number(remaining));
+  return bytes;
+}
+
+/**
+ * Parses a message ID given as "ledger:entry", "ledger:entry:partition" or "ledger:entry:partition:batch",
+ * or as printed by Pulsar, "(ledger,entry,partition,batch)"
+ * @param {string} value - The message ID
+ * @returns {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}|null} The ID parts, null if invalid
+ */
+export function parseMessageId(value) {
+  const match = /^\(?(\d+)[:,](\d+)(?:[:,](-?\d+))?(?:[:,](-?\d+))?\)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  return {
+    ledgerId: BigInt(match[1]),
+    entryId: BigInt(match[2]),
+    partition: match[3] !== undefined ? parseInt(match[3]) : -1,
+    batchIndex: match[4] !== undefined ? parseInt(match[4]) : -1
+  };
+}
+
+/**
+ * Formats message ID parts as "ledger:entry:partition:batch"
+ * @param {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}} parts - The ID parts
+ * @returns {string} The formatted message ID
+ */
+export function formatMessageId({ ledgerId, entryId, partition, batchIndex }) {
+  return `${ledgerId}:${entryId}:${partition}:${batchIndex}`;
+}
+
+/**
+ * Serializes message ID parts as the MessageIdData protobuf message, as read by Pulsar.MessageId.deserialize
+ * An entry ID of -1, the position before the first entry of a ledger, is written as an unsigned 64-bit value like
+ * the Java client does.
+ * @param {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}} parts - The ID parts
+ * @returns {Buffer} The serialized message ID
+ */
+export function serializeMessageId({ ledgerId, entryId, partition, batchIndex }) {
+  // Partition and batch index default to -1, so they are only written when set
+  const bytes = [0x08, ...encodeVarint(ledgerId), 0x10, ...encodeVarint(BigInt.asUintN(64, entryId))];
+  if (partition >= 0) bytes.push(0x18, ...encodeVarint(BigInt(partition)));
+  if (batchIndex >= 0) bytes.push(0x20, ...encodeVarint(BigInt(batchIndex)));
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compares two message IDs of the same topic partition by ledger, entry and batch index
+ * @param {{ledgerId: bigint, entryId: bigint, batchIndex: number}} a - The first ID parts
+ * @param {{ledgerId: bigint, entryId: bigint, batchIndex: number}} b - The second ID parts
+ * @returns {number} A negative number if a is before b, 0 if equal, a positive number otherwise
+ */
+export function compareMessageIds(a, b) {
+  if (a.ledgerId !== b.ledgerId) return a.ledgerId < b.ledgerId ? -1 : 1;
+  if (a.entryId !== b.entryId) return a.entryId < b.entryId ? -1 : 1;
+  return a.batchIndex - b.batchIndex;
+}
+
+/**
+ * Returns the position just before a message, so that a reader starting after it delivers the message itself
+ * Within a batch, this is the previous batch index; otherwise it is the previous entry, -1 being the position before
+ * the first entry of the ledger.
+ * @param {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}} parts - The ID parts
+ * @returns {{ledgerId: bigint, entryId: bigint, partition: number, batchIndex: number}} The ID parts of the position
+ */
+export function previousMessageId({ ledgerId, entryId, partition, batchIndex }) {
+  return batchIndex > 0
+    ? { ledgerId, entryId, partition, batchIndex: batchIndex - 1 }
+    : { ledgerId, entryId: entryId - 1n, partition, batchIndex: -1 };
+}
@@ -0,0 +1,47 @@
+import { formatMessageId, parseMessageId } from './messageId.js';
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decodes a received Pulsar message into a plain record
+ * Payloads are decoded with the schema if any, payloads that are not valid UTF-8 are base64 encoded,
+ * as stated by payloadEncoding. The raw payload stays available as data, and the message ID is given as
+ * ledger:entry:partition:batch, as accepted by --since.
+ * @param {Message} msg - The received message
+ * @param {SchemaCodec|null} [schema=null] - The schema used to decode the payload
+ * @returns {{topic: string, messageId: string, key: string|null, properties: object, publishTime: number, eventTime: number|null, redeliveryCount: number, data: Buffer, payload: *, payloadEncoding: string, decodeError?: string}} The record
+ */
+export function toMessageRecord(msg, schema = null) {
+  const data = msg.getData();
+  const record = {
+    topic: msg.getTopicName(),
+    messageId: formatMessageId(parseMessageId(msg.getMessageId().toString())),
+    key: msg.getPartitionKey() || null,
+    properties: msg.getProperties(),
+    publishTime: msg.getPublishTimestamp(),
+    // Pulsar uses 0 for unset event times
+    eventTime: msg.getEventTimestamp() || null,
+    redeliveryCount: msg.getRedeliveryCount(),
+    data
+  };
+
+  if (schema) {
+    try {
+      record.payload = schema.decode(data);
+      record.payloadEncoding = schema.type;
+      return record;
+    } catch (err) {
+      record.decodeError = `Unable to decode payload with ${schema.type} schema: ${err.message}`;
+    }
+  }
+
+  try {
+    record.payload = utf8Decoder.decode(data);
+    record.payloadEncoding = 'utf8';
+  } catch {
+    record.payload = data.toString('base64');
+    record.payloadEncoding = 'base64';
+  }
+
+  return record;
+}
@@ -0,0 +1,68 @@
+const DOMAIN_PREFIX = /^(persistent|non-persistent):\/\//;
+const FULL_TOPIC_NAME = /^(persistent|non-persistent):\/\/[^/]+\/[^/]+\/[^/]+$/;
+const PARTITION_SUFFIX = /-partition-\d+$/;
+
+/**
+ * Checks whether a topic or namespace name starts with a domain, persistent:// or non-persistent://
+ * @param {string} name - The topic or namespace name
+ * @returns {boolean} True if the name is fully qualified
+ */
+export function isFullyQualified(name) {
+  return DOMAIN_PREFIX.test(name);
+}
+
+/**
+ * Checks whether a topic name has one of the accepted forms: a short name, tenant/namespace/topic,
+ * or a fully qualified name such as persistent://tenant/namespace/topic
+ * @param {string} topic - The topic name
+ * @returns {boolean} True if the name is valid
+ */
+export function isValidTopicName(topic) {
+  if (isFullyQualified(topic)) return FULL_TOPIC_NAME.test(topic);
+  const parts = topic.split('/');
+  return parts.every((part) => part) && (parts.length === 1 || parts.length === 3);
+}
+
+/**
+ * Checks whether a topic name already designates a single partition
+ * @param {string} topic - The topic name
+ * @returns {boolean} True if the name ends with -partition-N
+ */
+export function isPartitionName(topic) {
+  return PARTITION_SUFFIX.test(topic);
+}
+
+/**
+ * Resolves a topic name to its fully qualified form
+ * Fully qualified names are used as given, tenant/namespace/topic names are persistent topics of that namespace,
+ * and short names are topics of the profile's namespace.
+ * @param {string} topic - The topic name
+ * @param {string} namespace - The profile's namespace, as persistent://tenant/namespace/
+ * @param {object} [options={}] - The resolution options
+ * @param {boolean} [options.nonPersistent=false] - Whether the topic is non-persistent
+ * @param {number|null} [options.partition=null] - The partition to target, null for the whole topic
+ * @returns {string} The fully qualified topic name
+ */
+export function resolveTopicName(topic, namespace, { nonPersistent = false, partition = null } = {}) {
+  let name;
+  if (isFullyQualified(topic)) {
+    name = topic;
+  } else if (topic.includes('/')) {
+    name = `persistent://${topic}`;
+  } else {
+    name = `${namespace}${topic}`;
+  }
+
+  if (nonPersistent) name = name.replace(DOMAIN_PREFIX, 'non-persistent://');
+  if (partition !== null) name = `${name}-partition-${partition}`;
+  return name;
+}
+
+/**
+ * Converts a fully qualified topic name to its admin API path
+ * @param {string} topicName - The fully qualified topic name
+ * @returns {string} The path, as domain/tenant/namespace/topic
+ */
+export function toTopicPath(topicName) {
+  return topicName.replace('://', '/');
+}
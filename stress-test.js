@@ -3,42 +3,150 @@
 import { ArgumentParser } from './src/ArgumentParser.js';
 import { PulsarManager } from './src/PulsarManager.js';
 import { CONFIG } from './src/config.js';
+import { preciseNow } from './src/Benchmark.js';
+import { Logger } from './src/Logger.js';
+import { PayloadGenerator } from './src/PayloadGenerator.js';
+import { KeyGenerator } from './src/KeyGenerator.js';
+import { handleSignals, reportEvents } from './src/cli.js';
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-async function main() {
-  const argParser = new ArgumentParser(process.argv.slice(2), true);
-  const topic = argParser.getValue('topic') || CONFIG.defaultTopic;
+/**
+ * Sends messages one at a time, with a fixed delay between them, their payloads and keys generated as requested
+ * @param {PulsarManager} pulsarManager - The Pulsar manager instance
+ * @param {ArgumentParser} argParser - The argument parser instance
+ * @param {Logger} logger - The logger of the stress tool
+ * @returns {Promise<void>}
+ */
+async function runSequential(pulsarManager, argParser, logger) {
+  const producerOptions = argParser.getProducerOptions();
   const messageCount = parseInt(argParser.getValue('count')) || CONFIG.stress.defaultCount;
-  const delayMs = parseInt(argParser.getValue('delay')) || CONFIG.stress.defaultDelay;
+  const delay = argParser.getValue('delay');
+  const delayMs = delay !== null ? parseInt(delay) : CONFIG.stress.defaultDelay;
 
-  console.log(`Starting to send ${messageCount} messages to topic ${topic}`);
-  console.log(`Delay between messages: ${delayMs}ms`);
+  logger.info(`Starting to send ${messageCount} messages to topic ${producerOptions.topic}`, { count: messageCount, topic: producerOptions.topic });
+  logger.info(`Delay between messages: ${delayMs}ms`, { delayMs });
 
-  const pulsarManager = new PulsarManager(CONFIG, argParser);
+  const payloads = new PayloadGenerator(argParser.getPayloadOptions());
+  const keys = new KeyGenerator(argParser.getKeyOptions());
+  await payloads.load();
+  await pulsarManager.createProducer(producerOptions);
 
-  try {
-    await argParser.validateArgs();
-    await pulsarManager.connect();
-    await pulsarManager.createProducer(argParser.getCompression());
+  for (let i = 1; i <= messageCount && !pulsarManager.stopRequested; i++) {
+    const message = payloads.next(i);
+    const key = keys.next(i);
+    // Sent as a record, so that each message is not reported as a sent event
+    await pulsarManager.producer.send({
+      payload: message,
+      key,
+      properties: { [CONFIG.stress.sendTimeProperty]: preciseNow().toFixed(3) }
+    });
+    // Random payloads are logged by size only
+    const description = typeof message === 'string' ? message : `${message.length} random bytes`;
+    logger.debug(`Message sent: ${description} (key: ${key ?? 'none'})`, { key });
+
+    if (i % 10 === 0) {
+      logger.info(`Progress: ${i}/${messageCount} messages sent`, { sent: i, count: messageCount });
+    }
+
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+  }
+  logger.info('Test completed successfully!');
+}
+
+/**
+ * Formats a benchmark report for humans
+ * @param {object} report - The benchmark report
+ * @returns {string} The formatted report
+ */
+function formatReport(report) {
+  const { latencyMs, throughput } = report;
+  return [
+    `Benchmark report for ${report.topic}`,
+    `  Producers:   ${report.producers} x ${report.concurrency} outstanding sends`,
+    `  Target rate: ${report.targetRate ? `${report.targetRate} msg/s` : 'unlimited'}`,
+    `  Messages:    ${report.sent} sent, ${report.failed} failed, ${report.messageSize} bytes on average`,
+    `  Keys:        ${report.keyStrategy}`,
+    `  Duration:    ${report.durationSeconds}s`,
+    `  Throughput:  ${throughput.messagesPerSecond} msg/s, ${throughput.megabytesPerSecond} MB/s`,
+    `  Latency:     p50 ${latencyMs.p50}ms, p95 ${latencyMs.p95}ms, p99 ${latencyMs.p99}ms, max ${latencyMs.max}ms`
+  ].join('\n');
+}
 
-    for (let i = 1; i <= messageCount; i++) {
-      const message = `Test message #${i}`;
-      await pulsarManager.sendMessage(message, `key-${i % 5}`);
+/**
+ * Runs a throughput benchmark and prints its report
+ * @param {PulsarManager} pulsarManager - The Pulsar manager instance
+ * @param {ArgumentParser} argParser - The argument parser instance
+ * @param {Logger} logger - The logger of the stress tool
+ * @returns {Promise<void>}
+ */
+async function runBenchmark(pulsarManager, argParser, logger) {
+  const options = argParser.getBenchmarkOptions();
+  const target = options.durationMs ? `for ${options.durationMs / 1000}s` : `${options.count} messages`;
+  logger.info(`Starting benchmark: ${target}, ${options.producers} producer(s) x ${options.concurrency} outstanding sends`);
 
-      if (i % 10 === 0) {
-        console.log(`Progress: ${i}/${messageCount} messages sent`);
-      }
+  const report = await pulsarManager.runBenchmark(options);
+  console.log(argParser.hasParam('json') ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+/**
+ * Formats a consumer benchmark report for humans
+ * @param {object} report - The consumer benchmark report
+ * @returns {string} The formatted report
+ */
+function formatConsumerReport(report) {
+  const { latencyMs } = report;
+  return [
+    `End-to-end latency report for ${report.topic} (subscription ${report.subscription})`,
+    `  Messages:   ${report.received} received${report.expected ? ` of ${report.expected} expected` : ''}`,
+    `  Duration:   ${report.durationSeconds}s, ${report.messagesPerSecond} msg/s`,
+    `  Source:     ${report.latencySource || 'none'}`,
+    `  Latency:    p50 ${latencyMs.p50}ms, p95 ${latencyMs.p95}ms, p99 ${latencyMs.p99}ms, max ${latencyMs.max}ms`
+  ].join('\n');
+}
+
+/**
+ * Runs an end-to-end latency benchmark and prints its report
+ * @param {PulsarManager} pulsarManager - The Pulsar manager instance
+ * @param {ArgumentParser} argParser - The argument parser instance
+ * @returns {Promise<void>}
+ */
+async function runConsumerBenchmark(pulsarManager, argParser) {
+  const report = await pulsarManager.runConsumerBenchmark(argParser.getConsumerBenchmarkOptions());
+  console.log(argParser.hasParam('json') ? JSON.stringify(report, null, 2) : formatConsumerReport(report));
+}
+
+async function main() {
+  const argParser = new ArgumentParser(process.argv.slice(2), true);
+  const logger = new Logger(argParser.getLogOptions());
+  const pulsarManager = new PulsarManager(CONFIG, { profile: argParser.getValue('profile'), prompt: true });
+  reportEvents(pulsarManager, logger);
+  handleSignals(() => pulsarManager.stop(), logger);
+
+  try {
+    if (!(await argParser.validateArgs())) return;
+    await pulsarManager.connect(argParser.getThreads());
+    const metricsPort = argParser.getMetricsPort();
+    if (metricsPort) {
+      await pulsarManager.serveMetrics(metricsPort);
+    }
 
-      if (delayMs > 0) {
-        await sleep(delayMs);
-      }
+    if (argParser.hasParam('benchmark')) {
+      await runBenchmark(pulsarManager, argParser, logger);
+    } else if (argParser.hasParam('consume')) {
+      await runConsumerBenchmark(pulsarManager, argParser);
+    } else {
+      await runSequential(pulsarManager, argParser, logger);
     }
-    console.log('Test completed successfully!');
   } catch (err) {
-    console.error("Error during test:", err.message);
-    process.exit(1);
+    logger.error(`Error during test: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pulsarManager.cleanup();
   }
+  process.exit();
 }
 
 main();
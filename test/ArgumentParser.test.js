@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArgumentParser } from '../src/ArgumentParser.js';
+
+describe('ArgumentParser', () => {
+  describe('--since', () => {
+    it('accepts milliseconds since epoch and ISO 8601 dates and times', async () => {
+      for (const since of ['1705744800000', '2024-01-20', '2024-01-20T10:00:00Z', '2024-01-20T10:00:00.250+02:00']) {
+        const parser = new ArgumentParser(['read', '--since', since]);
+        await parser.validateArgs();
+        assert.equal(parser.getSinceValue(), Number(since) || Date.parse(since), since);
+      }
+    });
+
+    it('reads message IDs and named positions', async () => {
+      const parser = new ArgumentParser(['read', '--since', '12:34']);
+      await parser.validateArgs();
+      assert.deepEqual(parser.getSinceValue(), { ledgerId: 12n, entryId: 34n, partition: -1, batchIndex: -1 });
+
+      assert.equal(new ArgumentParser(['read', '--since', 'Earliest']).getSinceValue(), 'earliest');
+    });
+
+    it('rejects other date formats and mistyped message IDs', async () => {
+      for (const since of ['-5', '12;34', 'Jan 5 2024', '2024-01-20 10:00', '2024-13-45']) {
+        await assert.rejects(new ArgumentParser(['read', '--since', since]).validateArgs(), /^Error: Invalid value for --since\n/, since);
+      }
+    });
+  });
+});
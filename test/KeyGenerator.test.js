@@ -0,0 +1,69 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyGenerator } from '../src/KeyGenerator.js';
+
+describe('KeyGenerator', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('gives keys in turn by default', () => {
+    const generator = new KeyGenerator();
+
+    assert.equal(generator.strategy, 'round-robin');
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map((sequence) => generator.next(sequence)), [
+      'key-0', 'key-1', 'key-2', 'key-3', 'key-4', 'key-0', 'key-1'
+    ]);
+  });
+
+  it('gives no key with the none strategy', () => {
+    assert.equal(new KeyGenerator({ strategy: 'none' }).next(3), undefined);
+  });
+
+  it('draws uniform keys among the key count', () => {
+    const generator = new KeyGenerator({ strategy: 'uniform', count: 10 });
+
+    mock.method(Math, 'random', () => 0);
+    assert.equal(generator.next(7), 'key-0');
+    mock.method(Math, 'random', () => 0.9999);
+    assert.equal(generator.next(7), 'key-9');
+  });
+
+  describe('zipf', () => {
+    it('computes cumulative probabilities decreasing as 1 / rank^exponent', () => {
+      const cumulative = KeyGenerator.zipfDistribution(3, 1);
+      const total = 1 + 1 / 2 + 1 / 3;
+
+      assert.deepEqual([...cumulative].map((value) => value.toFixed(6)), [
+        (1 / total).toFixed(6), (1.5 / total).toFixed(6), '1.000000'
+      ]);
+    });
+
+    it('is uniform with an exponent of 0', () => {
+      assert.deepEqual([...KeyGenerator.zipfDistribution(4, 0)], [0.25, 0.5, 0.75, 1]);
+    });
+
+    it('draws the key whose cumulative probability first reaches the random value', () => {
+      const generator = new KeyGenerator({ strategy: 'zipf', count: 3, zipfExponent: 1 });
+      const draw = (value) => {
+        mock.method(Math, 'random', () => value);
+        return generator.next(0);
+      };
+
+      // Cumulative probabilities are about 0.545, 0.818 and 1
+      assert.equal(draw(0), 'key-0');
+      assert.equal(draw(0.5), 'key-0');
+      assert.equal(draw(0.6), 'key-1');
+      assert.equal(draw(0.9), 'key-2');
+      assert.equal(draw(0.9999), 'key-2');
+    });
+
+    it('favors the first keys more as the exponent grows', () => {
+      const share = (zipfExponent) => KeyGenerator.zipfDistribution(100, zipfExponent)[0];
+
+      assert.ok(share(0.5) < share(1));
+      assert.ok(share(1) < share(2));
+      assert.ok(share(2) > 0.6);
+    });
+  });
+});
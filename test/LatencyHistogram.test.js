@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LatencyHistogram } from '../src/LatencyHistogram.js';
+
+/**
+ * Builds a histogram holding the given samples
+ * @param {number[]} samples - The latencies, in milliseconds
+ * @returns {LatencyHistogram} The histogram
+ */
+function histogramOf(samples) {
+  const histogram = new LatencyHistogram();
+  for (const sample of samples) histogram.record(sample);
+  return histogram;
+}
+
+describe('LatencyHistogram', () => {
+  it('gives percentiles within 1% of the samples', () => {
+    const histogram = histogramOf(Array.from({ length: 100 }, (_, index) => index + 1));
+
+    assert.ok(Math.abs(histogram.percentile(50) - 50) <= 0.5);
+    assert.ok(Math.abs(histogram.percentile(99) - 99) <= 1);
+    assert.equal(histogram.percentile(100), 100);
+    assert.equal(new LatencyHistogram().percentile(50), 0);
+  });
+
+  it('merges the samples of other histograms', () => {
+    const merged = new LatencyHistogram();
+    merged.merge(histogramOf([1, 2, 3]));
+    merged.merge(histogramOf([2, 40]));
+
+    const all = histogramOf([1, 2, 3, 2, 40]);
+    assert.deepEqual(merged.summary(), all.summary());
+    assert.deepEqual(merged.buckets, all.buckets);
+  });
+
+  it('keeps its samples when merging an empty histogram', () => {
+    const histogram = histogramOf([5, 10]);
+    histogram.merge(new LatencyHistogram());
+
+    assert.deepEqual(histogram.summary(), histogramOf([5, 10]).summary());
+  });
+});
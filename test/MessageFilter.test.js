@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageFilter } from '../src/MessageFilter.js';
+
+/**
+ * Builds a received message as exposed by the Pulsar client
+ * @param {object} [fields={}] - The message fields
+ * @param {string} [fields.key=''] - The partition key
+ * @param {object} [fields.properties={}] - The message properties
+ * @param {string} [fields.payload=''] - The payload
+ * @returns {object} The message
+ */
+function message({ key = '', properties = {}, payload = '' } = {}) {
+  return {
+    getPartitionKey: () => key,
+    getProperties: () => properties,
+    getData: () => Buffer.from(payload)
+  };
+}
+
+describe('MessageFilter', () => {
+  describe('malformed expressions', () => {
+    it('rejects JSON paths with an invalid segment', () => {
+      assert.throws(() => new MessageFilter({ json: ['$.user..id'] }), { message: 'Invalid JSON path "$.user..id" at "..id"' });
+      assert.throws(() => new MessageFilter({ json: ['items[first]'] }), /^Error: Invalid JSON path "items\[first\]" at "\[first\]"$/);
+      assert.throws(() => new MessageFilter({ json: ['$.user.1d'] }), /Invalid JSON path "\$\.user\.1d"/);
+    });
+
+    it('rejects JSON paths without segment', () => {
+      assert.throws(() => new MessageFilter({ json: ['$'] }), { message: 'Invalid JSON path "$"' });
+      assert.throws(() => new MessageFilter({ json: ['$=42'] }), { message: 'Invalid JSON path "$"' });
+    });
+
+    it('rejects invalid regular expressions, naming the option', () => {
+      assert.throws(() => new MessageFilter({ keyRegex: '(order' }), /^Error: Invalid regular expression for --filter-key-regex: /);
+      assert.throws(() => new MessageFilter({ payload: '[a-' }), /^Error: Invalid regular expression for --filter-payload: /);
+    });
+  });
+
+  describe('JSON paths', () => {
+    it('reads dotted, indexed and quoted segments', () => {
+      const payload = JSON.stringify({ user: { id: 42 }, items: [{ sku: 'A-1' }], 'odd key': true });
+
+      assert.equal(new MessageFilter({ json: ['$.user.id=42'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['items[0].sku=A-1'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['$["odd key"]'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['items[1].sku'] }).matches(message({ payload })), false);
+    });
+
+    it('compares strings as text and other values as JSON', () => {
+      const payload = JSON.stringify({ id: '42', count: 42, tags: ['a'], active: false });
+
+      assert.equal(new MessageFilter({ json: ['$.id=42'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['$.count=42'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['$.tags=["a"]'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['$.active=false'] }).matches(message({ payload })), true);
+      assert.equal(new MessageFilter({ json: ['$.count=042'] }).matches(message({ payload })), false);
+    });
+
+    it('keeps everything after the first equal sign as the value', () => {
+      const payload = JSON.stringify({ query: 'a=b' });
+      assert.equal(new MessageFilter({ json: ['$.query=a=b'] }).matches(message({ payload })), true);
+    });
+
+    it('does not match payloads that are not JSON', () => {
+      assert.equal(new MessageFilter({ json: ['$.id'] }).matches(message({ payload: 'id=42' })), false);
+    });
+  });
+
+  describe('combining filters', () => {
+    const order = message({
+      key: 'order-17',
+      properties: { region: 'eu', source: 'web' },
+      payload: JSON.stringify({ status: 'failed', amount: 30 })
+    });
+
+    it('matches every message without filters', () => {
+      const filter = new MessageFilter({});
+      assert.equal(filter.isActive(), false);
+      assert.equal(filter.matches(order), true);
+    });
+
+    it('requires all filters to match', () => {
+      const filter = new MessageFilter({
+        keyRegex: '^order-',
+        properties: { region: 'eu' },
+        payload: 'failed',
+        json: ['$.status=failed']
+      });
+      assert.equal(filter.isActive(), true);
+      assert.equal(filter.matches(order), true);
+
+      assert.equal(new MessageFilter({ keyRegex: '^order-', properties: { region: 'us' } }).matches(order), false);
+      assert.equal(new MessageFilter({ key: 'order-17', payload: 'succeeded' }).matches(order), false);
+    });
+
+    it('requires every property and every JSON path expression to match', () => {
+      assert.equal(new MessageFilter({ properties: { region: 'eu', source: 'web' } }).matches(order), true);
+      assert.equal(new MessageFilter({ properties: { region: 'eu', source: 'app' } }).matches(order), false);
+      assert.equal(new MessageFilter({ json: ['$.status=failed', '$.amount=30'] }).matches(order), true);
+      assert.equal(new MessageFilter({ json: ['$.status=failed', '$.amount=31'] }).matches(order), false);
+    });
+
+    it('matches keys exactly, and key expressions anywhere in the key', () => {
+      assert.equal(new MessageFilter({ key: 'order' }).matches(order), false);
+      assert.equal(new MessageFilter({ keyRegex: 'der-1' }).matches(order), true);
+    });
+  });
+});
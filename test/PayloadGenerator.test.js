@@ -0,0 +1,179 @@
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PayloadGenerator, parsePayloadSize } from '../src/PayloadGenerator.js';
+
+/**
+ * Makes Math.random return the given values in turn, the last one repeatedly
+ * @param {...number} values - The values
+ */
+function mockRandom(...values) {
+  let call = 0;
+  mock.method(Math, 'random', () => values[Math.min(call++, values.length - 1)]);
+}
+
+describe('PayloadGenerator', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('templates', () => {
+    it('replaces the sequence number, with or without spaces in the placeholder', () => {
+      const generator = new PayloadGenerator({ template: 'Test message #{{seq}} ({{ seq }})' });
+      assert.equal(generator.next(7), 'Test message #7 (7)');
+    });
+
+    it('keeps templates without placeholders as is', () => {
+      assert.equal(new PayloadGenerator({ template: '{"static": true}' }).next(1), '{"static": true}');
+    });
+
+    it('renders identifiers and times', () => {
+      const generator = new PayloadGenerator({ template: '{{uuid}} {{timestamp}} {{date}}' });
+      const [uuid, timestamp, date] = generator.next(1).split(' ');
+
+      assert.match(uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      assert.ok(Math.abs(Number(timestamp) - Date.now()) < 1000);
+      assert.equal(new Date(date).toISOString(), date);
+    });
+
+    it('renders random values within their arguments', () => {
+      const generator = new PayloadGenerator({
+        template: '{{randomInt:1:3}}|{{randomFloat:0.5:1.5}}|{{randomString:8}}|{{randomChoice:red|green}}'
+      });
+
+      for (let sequence = 0; sequence < 50; sequence++) {
+        const payload = generator.next(sequence);
+        const [integer, float, string, ...choice] = payload.split('|');
+        assert.ok(['1', '2', '3'].includes(integer), payload);
+        assert.ok(Number(float) >= 0.5 && Number(float) < 1.5, payload);
+        assert.match(string, /^[A-Za-z0-9]{8}$/);
+        assert.ok(['red', 'green'].includes(choice.join('|')), payload);
+      }
+    });
+
+    it('includes both bounds of randomInt', () => {
+      const generator = new PayloadGenerator({ template: '{{randomInt:1:3}}' });
+
+      mockRandom(0);
+      assert.equal(generator.next(1), '1');
+      mockRandom(0.9999);
+      assert.equal(generator.next(1), '3');
+    });
+
+    it('rejects unknown placeholders, listing the valid ones', () => {
+      assert.throws(
+        () => new PayloadGenerator({ template: 'id={{sequence}}' }),
+        {
+          message: 'Unknown placeholder {{sequence}} in payload template\n' +
+            'Valid placeholders: seq, uuid, timestamp, date, randomInt, randomFloat, randomString, randomChoice'
+        }
+      );
+    });
+
+    it('rejects invalid placeholder arguments', () => {
+      assert.throws(() => new PayloadGenerator({ template: '{{randomInt:5:1}}' }), { message: 'Invalid bounds for randomInt: 5:1' });
+      assert.throws(() => new PayloadGenerator({ template: '{{randomInt:a:9}}' }), { message: 'Invalid bounds for randomInt: a:9' });
+      assert.throws(() => new PayloadGenerator({ template: '{{randomFloat:2:1}}' }), { message: 'Invalid bounds for randomFloat: 2:1' });
+      assert.throws(() => new PayloadGenerator({ template: '{{randomString:0}}' }), { message: 'Invalid length for randomString: 0' });
+    });
+  });
+
+  describe('parsePayloadSize', () => {
+    it('reads fixed sizes', () => {
+      assert.deepEqual(parsePayloadSize('512'), { type: 'fixed', min: 512, max: 512 });
+      assert.deepEqual(parsePayloadSize(1024), { type: 'fixed', min: 1024, max: 1024 });
+    });
+
+    it('reads uniform ranges, bounds included', () => {
+      assert.deepEqual(parsePayloadSize('256-4096'), { type: 'uniform', min: 256, max: 4096 });
+      assert.deepEqual(parsePayloadSize('0-10'), { type: 'uniform', min: 0, max: 10 });
+      assert.deepEqual(parsePayloadSize('64-64'), { type: 'uniform', min: 64, max: 64 });
+    });
+
+    it('reads normal distributions, clipped to six deviations and to empty payloads', () => {
+      assert.deepEqual(parsePayloadSize('1000~100'), { type: 'normal', mean: 1000, deviation: 100, min: 400, max: 1600 });
+      assert.deepEqual(parsePayloadSize('300~100'), { type: 'normal', mean: 300, deviation: 100, min: 0, max: 900 });
+    });
+
+    it('rejects empty, reversed and malformed sizes', () => {
+      for (const size of ['0', '0-0', '4096-256', '-5', '1.5', '10-', '~100', '0~10', 'abc', '']) {
+        assert.equal(parsePayloadSize(size), null, size);
+      }
+    });
+
+    it('is checked by the generator', () => {
+      assert.throws(() => new PayloadGenerator({ size: '4096-256' }), { message: 'Invalid payload size: 4096-256' });
+    });
+  });
+
+  describe('random payloads', () => {
+    it('generates alphanumeric payloads of a fixed size', () => {
+      const payload = new PayloadGenerator({ size: 100 }).next(1);
+
+      assert.ok(Buffer.isBuffer(payload));
+      assert.equal(payload.length, 100);
+      assert.match(payload.toString(), /^[A-Za-z0-9]{100}$/);
+    });
+
+    it('keeps sizes of a range within its bounds', () => {
+      const generator = new PayloadGenerator({ size: '10-20' });
+      for (let sequence = 0; sequence < 200; sequence++) {
+        const { length } = generator.next(sequence);
+        assert.ok(length >= 10 && length <= 20, String(length));
+      }
+    });
+
+    it('draws both bounds of a range', () => {
+      const generator = new PayloadGenerator({ size: '10-20' });
+
+      mockRandom(0);
+      assert.equal(generator.nextSize(), 10);
+      mockRandom(0.9999);
+      assert.equal(generator.nextSize(), 20);
+    });
+
+    it('clips normal sizes to their bounds', () => {
+      const generator = new PayloadGenerator({ size: '1000~100' });
+
+      // Box-Muller with u1 close to 1 and cos(0) gives about 7.4 deviations above the mean
+      mockRandom(1e-12, 0);
+      assert.equal(generator.nextSize(), 1000);
+      mockRandom(1 - 1e-12, 0);
+      assert.equal(generator.nextSize(), 1600);
+      mockRandom(1 - 1e-12, 0.5);
+      assert.equal(generator.nextSize(), 400);
+    });
+  });
+
+  describe('payload files', () => {
+    let directory;
+
+    before(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'payload-generator-'));
+    });
+
+    after(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('picks the non-empty lines of the file', async () => {
+      const file = join(directory, 'payloads.txt');
+      await writeFile(file, 'first\r\n\nsecond\n');
+      const generator = new PayloadGenerator({ file });
+      await generator.load();
+
+      assert.deepEqual(generator.samples, ['first', 'second']);
+      mockRandom(0.9);
+      assert.equal(generator.next(1), 'second');
+    });
+
+    it('rejects files without payloads', async () => {
+      const file = join(directory, 'empty.txt');
+      await writeFile(file, '\n\n');
+
+      await assert.rejects(new PayloadGenerator({ file }).load(), { message: `No payloads found in ${file}` });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { PulsarAdmin } from '../src/PulsarAdmin.js';
+import { CONFIG } from '../src/config.js';
+
+/**
+ * Starts an HTTP server standing in for the admin API, answering each request from a route table
+ * Routes are indexed by "METHOD path" and return a status and a body, unknown routes answering 404.
+ * @returns {Promise<{url: string, requests: object[], routes: object, close: Function}>} The stub server
+ */
+async function startAdminStub() {
+  const requests = [];
+  const routes = {};
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      const route = routes[`${req.method} ${req.url}`];
+      const { status, body: responseBody } = route || { status: 404, body: JSON.stringify({ reason: 'Route not stubbed' }) };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(responseBody === undefined ? '' : responseBody);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    routes,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+describe('PulsarAdmin', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startAdminStub();
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    for (const route of Object.keys(stub.routes)) delete stub.routes[route];
+  });
+
+  describe('listTopics', () => {
+    it('groups partitions under their topic and sorts topics by name', async () => {
+      stub.routes['GET /admin/v2/persistent/public/default'] = {
+        status: 200,
+        body: JSON.stringify([
+          'persistent://public/default/orders-partition-0',
+          'persistent://public/default/orders-partition-1',
+          'persistent://public/default/audit'
+        ])
+      };
+      stub.routes['GET /admin/v2/persistent/public/default/partitioned'] = {
+        status: 200,
+        body: JSON.stringify(['persistent://public/default/orders'])
+      };
+      stub.routes['GET /admin/v2/persistent/public/default/orders/partitions'] = {
+        status: 200,
+        body: JSON.stringify({ partitions: 2 })
+      };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      const topics = await admin.listTopics('public/default');
+
+      assert.deepEqual(topics, [
+        { topic: 'persistent://public/default/audit', partitions: 0 },
+        { topic: 'persistent://public/default/orders', partitions: 2 }
+      ]);
+    });
+  });
+
+  describe('createTopic', () => {
+    it('creates a non-partitioned topic without body', async () => {
+      stub.routes['PUT /admin/v2/persistent/public/default/orders'] = { status: 204 };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await admin.createTopic('persistent/public/default/orders', 0);
+
+      assert.equal(stub.requests.length, 1);
+      assert.equal(stub.requests[0].body, '');
+    });
+
+    it('creates a partitioned topic with the number of partitions as body', async () => {
+      stub.routes['PUT /admin/v2/persistent/public/default/orders/partitions'] = { status: 204 };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await admin.createTopic('persistent/public/default/orders', 4);
+
+      assert.equal(stub.requests[0].headers['content-type'], 'application/json');
+      assert.equal(stub.requests[0].body, '4');
+    });
+
+    it('reports the reason given by the broker on failure', async () => {
+      stub.routes['PUT /admin/v2/persistent/public/default/orders'] = {
+        status: 409,
+        body: JSON.stringify({ reason: 'This topic already exists' })
+      };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await assert.rejects(
+        admin.createTopic('persistent/public/default/orders', 0),
+        { message: 'PUT /admin/v2/persistent/public/default/orders failed (HTTP 409): This topic already exists' }
+      );
+    });
+
+    it('reports plain text error bodies as is', async () => {
+      stub.routes['PUT /admin/v2/persistent/public/default/orders'] = { status: 500, body: 'Internal error' };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await assert.rejects(admin.createTopic('persistent/public/default/orders', 0), /\(HTTP 500\): Internal error$/);
+    });
+  });
+
+  describe('resetCursor', () => {
+    it('resets to a timestamp in the path', async () => {
+      stub.routes['POST /admin/v2/persistent/public/default/orders/subscription/my%20sub/resetcursor/1700000000000'] = { status: 204 };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await admin.resetCursor('persistent/public/default/orders', 'my sub', 1700000000000);
+
+      assert.equal(stub.requests.length, 1);
+    });
+
+    it('resets to a message ID given as body', async () => {
+      stub.routes['POST /admin/v2/persistent/public/default/orders/subscription/sub/resetcursor'] = { status: 204 };
+
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await admin.resetCursor('persistent/public/default/orders', 'sub', { ledgerId: 12n, entryId: 34n, partition: -1, batchIndex: -1 });
+
+      assert.deepEqual(JSON.parse(stub.requests[0].body), { ledgerId: 12, entryId: 34, partitionIndex: -1, batchIndex: -1 });
+    });
+
+    it('fails on an unknown subscription', async () => {
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await assert.rejects(
+        admin.resetCursor('persistent/public/default/orders', 'missing', 0),
+        /failed \(HTTP 404\): Route not stubbed$/
+      );
+    });
+  });
+
+  describe('authentication', () => {
+    beforeEach(() => {
+      stub.routes['GET /admin/v2/namespaces/public'] = { status: 200, body: JSON.stringify(['public/default']) };
+    });
+
+    it('sends no authorization header without authentication', async () => {
+      const admin = new PulsarAdmin(stub.url, { type: 'none' }, CONFIG);
+      await admin.listNamespaces('public');
+
+      assert.equal(stub.requests[0].headers.authorization, undefined);
+    });
+
+    it('sends tokens as bearer', async () => {
+      const admin = new PulsarAdmin(stub.url, { type: 'token', token: 'secret-token' }, CONFIG);
+      await admin.listNamespaces('public');
+
+      assert.equal(stub.requests[0].headers.authorization, 'Bearer secret-token');
+    });
+
+    it('sends basic credentials base64 encoded', async () => {
+      const admin = new PulsarAdmin(stub.url, { type: 'basic', username: 'admin', password: 'p4ss' }, CONFIG);
+      await admin.listNamespaces('public');
+
+      assert.equal(stub.requests[0].headers.authorization, `Basic ${Buffer.from('admin:p4ss').toString('base64')}`);
+    });
+
+    it('fetches an OAuth2 token once with the client credentials flow', async () => {
+      stub.routes['GET /oauth/.well-known/openid-configuration'] = {
+        status: 200,
+        body: JSON.stringify({ token_endpoint: `${stub.url}/oauth/token` })
+      };
+      stub.routes['POST /oauth/token'] = { status: 200, body: JSON.stringify({ access_token: 'oauth-token' }) };
+
+      const admin = new PulsarAdmin(stub.url, {
+        type: 'oauth2',
+        issuerUrl: `${stub.url}/oauth/`,
+        clientId: 'client',
+        clientSecret: 'client-secret',
+        audience: 'urn:pulsar'
+      }, CONFIG);
+      await admin.listNamespaces('public');
+      await admin.listNamespaces('public');
+
+      const tokenRequests = stub.requests.filter((request) => request.path === '/oauth/token');
+      assert.equal(tokenRequests.length, 1);
+      assert.deepEqual(Object.fromEntries(new URLSearchParams(tokenRequests[0].body)), {
+        grant_type: 'client_credentials',
+        client_id: 'client',
+        client_secret: 'client-secret',
+        audience: 'urn:pulsar'
+      });
+      const adminRequests = stub.requests.filter((request) => request.path === '/admin/v2/namespaces/public');
+      assert.deepEqual(adminRequests.map((request) => request.headers.authorization), ['Bearer oauth-token', 'Bearer oauth-token']);
+    });
+  });
+
+  describe('TLS', () => {
+    it('reads the client certificate of TLS authentication for https URLs', async () => {
+      const admin = new PulsarAdmin('https://127.0.0.1:1', {
+        type: 'tls',
+        certificatePath: '/nonexistent/client.cert.pem',
+        privateKeyPath: '/nonexistent/client.key-pk8.pem'
+      }, CONFIG);
+
+      await assert.rejects(admin.listNamespaces('public'), { code: 'ENOENT', path: '/nonexistent/client.cert.pem' });
+    });
+
+    it('reads the trusted certificates for https URLs', async () => {
+      const admin = new PulsarAdmin('https://127.0.0.1:1', { type: 'token', token: 't', trustCertsFilePath: '/nonexistent/ca.cert.pem' }, CONFIG);
+
+      await assert.rejects(admin.listNamespaces('public'), { code: 'ENOENT', path: '/nonexistent/ca.cert.pem' });
+    });
+
+    it('ignores TLS files for http URLs', async () => {
+      stub.routes['GET /admin/v2/namespaces/public'] = { status: 200, body: JSON.stringify(['public/default']) };
+      const admin = new PulsarAdmin(stub.url, {
+        type: 'tls',
+        certificatePath: '/nonexistent/client.cert.pem',
+        privateKeyPath: '/nonexistent/client.key-pk8.pem',
+        trustCertsFilePath: '/nonexistent/ca.cert.pem'
+      }, CONFIG);
+
+      assert.deepEqual(await admin.listNamespaces('public'), ['public/default']);
+    });
+  });
+});
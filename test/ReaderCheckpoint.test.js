@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReaderCheckpoint } from '../src/ReaderCheckpoint.js';
+
+describe('ReaderCheckpoint', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'reader-checkpoint-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('loads nothing before the first save', async () => {
+    const checkpoint = new ReaderCheckpoint(join(directory, 'missing.checkpoint'));
+    assert.equal(await checkpoint.load(), null);
+  });
+
+  it('saves the message ID as ledger:entry:partition:batch and loads it back', async () => {
+    const path = join(directory, 'orders.checkpoint');
+    const checkpoint = new ReaderCheckpoint(path);
+    const messageId = { ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: 5 };
+
+    await checkpoint.save(messageId);
+
+    assert.equal(await readFile(path, 'utf8'), '12:34:2:5\n');
+    assert.deepEqual(await new ReaderCheckpoint(path).load(), messageId);
+  });
+
+  it('replaces the previous checkpoint without leaving the temporary file', async () => {
+    const path = join(directory, 'replaced.checkpoint');
+    const checkpoint = new ReaderCheckpoint(path);
+
+    await checkpoint.save({ ledgerId: 12n, entryId: 34n, partition: -1, batchIndex: -1 });
+    await checkpoint.save({ ledgerId: 12n, entryId: 35n, partition: -1, batchIndex: -1 });
+
+    assert.deepEqual(await checkpoint.load(), { ledgerId: 12n, entryId: 35n, partition: -1, batchIndex: -1 });
+    assert.deepEqual((await readdir(directory)).filter((name) => name.startsWith('replaced')), ['replaced.checkpoint']);
+  });
+
+  it('rejects a file that does not hold a message ID', async () => {
+    const path = join(directory, 'invalid.checkpoint');
+    await writeFile(path, 'latest\n');
+
+    await assert.rejects(
+      new ReaderCheckpoint(path).load(),
+      { message: `Invalid checkpoint file ${path}: expected a message ID, found "latest"` }
+    );
+  });
+
+  it('reports other read errors as is', async () => {
+    await assert.rejects(new ReaderCheckpoint(directory).load(), { code: 'EISDIR' });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OPTIONS, STRESS_COMMAND, getCommandOptions } from '../src/commands.js';
+import { formatCommandHelp, formatStressHelp } from '../src/help.js';
+
+describe('help', () => {
+  describe('formatStressHelp', () => {
+    it('lists every option accepted by the stress tool', () => {
+      const help = formatStressHelp();
+      for (const param of getCommandOptions(STRESS_COMMAND)) {
+        assert.match(help, new RegExp(`^  (-\\w, )?${OPTIONS[param].flag}\\b`, 'm'), param);
+      }
+    });
+
+    it('describes options by the meaning they have in each section', () => {
+      const help = formatStressHelp();
+      assert.match(help, /--count <n> +Number of messages to send \(default: 100, 10000 with --benchmark\)/);
+      assert.match(help, /--count <n> +Stop once this number of messages is received/);
+      assert.doesNotMatch(help, /skip/);
+    });
+
+    it('prefixes examples with the stress tool program', () => {
+      assert.match(formatStressHelp(), /^  npx pulsar-companion-stress --consume --count 100000$/m);
+    });
+  });
+
+  describe('formatCommandHelp', () => {
+    it('describes --count as the number of messages to skip for subscriptions only', () => {
+      assert.match(formatCommandHelp('subscriptions'), /--count <n> +Number of messages to skip \(non-partitioned topics\)/);
+    });
+
+    it('prefixes examples with the program and keeps the command name once', () => {
+      assert.match(formatCommandHelp('consume'), /^  npx pulsar-companion consume --topic "myTopic" --type Failover/m);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compareMessageIds,
+  formatMessageId,
+  parseMessageId,
+  previousMessageId,
+  serializeMessageId
+} from '../src/messageId.js';
+
+describe('messageId', () => {
+  describe('parseMessageId', () => {
+    it('reads the colon separated and the printed forms', () => {
+      assert.deepEqual(parseMessageId('12:34'), { ledgerId: 12n, entryId: 34n, partition: -1, batchIndex: -1 });
+      assert.deepEqual(parseMessageId('12:34:2'), { ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: -1 });
+      assert.deepEqual(parseMessageId('(12,34,-1,5)'), { ledgerId: 12n, entryId: 34n, partition: -1, batchIndex: 5 });
+    });
+
+    it('rejects anything else', () => {
+      assert.equal(parseMessageId('12'), null);
+      assert.equal(parseMessageId('12;34'), null);
+      assert.equal(parseMessageId('-12:34'), null);
+      assert.equal(parseMessageId('latest'), null);
+    });
+
+    it('is the inverse of formatMessageId', () => {
+      const parts = { ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: 5 };
+      assert.equal(formatMessageId(parts), '12:34:2:5');
+      assert.deepEqual(parseMessageId(formatMessageId(parts)), parts);
+    });
+  });
+
+  describe('serializeMessageId', () => {
+    it('writes ledger, entry, partition and batch index as varint fields', () => {
+      const bytes = serializeMessageId({ ledgerId: 300n, entryId: 34n, partition: 2, batchIndex: 5 });
+      assert.deepEqual([...bytes], [0x08, 0xac, 0x02, 0x10, 0x22, 0x18, 0x02, 0x20, 0x05]);
+    });
+
+    it('leaves out unset partition and batch index', () => {
+      const bytes = serializeMessageId({ ledgerId: 12n, entryId: 0n, partition: -1, batchIndex: -1 });
+      assert.deepEqual([...bytes], [0x08, 0x0c, 0x10, 0x00]);
+    });
+
+    it('writes entry -1 as an unsigned 64-bit varint', () => {
+      const bytes = serializeMessageId({ ledgerId: 12n, entryId: -1n, partition: -1, batchIndex: -1 });
+      assert.deepEqual([...bytes], [0x08, 0x0c, 0x10, ...Array(9).fill(0xff), 0x01]);
+    });
+  });
+
+  describe('previousMessageId', () => {
+    it('steps back one batch index within a batch', () => {
+      assert.deepEqual(
+        previousMessageId({ ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: 5 }),
+        { ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: 4 }
+      );
+    });
+
+    it('steps back one entry at the start of a batch or outside batches', () => {
+      const expected = { ledgerId: 12n, entryId: 33n, partition: 2, batchIndex: -1 };
+      assert.deepEqual(previousMessageId({ ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: 0 }), expected);
+      assert.deepEqual(previousMessageId({ ledgerId: 12n, entryId: 34n, partition: 2, batchIndex: -1 }), expected);
+    });
+
+    it('steps back before the first entry of a ledger', () => {
+      const previous = previousMessageId({ ledgerId: 12n, entryId: 0n, partition: -1, batchIndex: -1 });
+
+      assert.deepEqual(previous, { ledgerId: 12n, entryId: -1n, partition: -1, batchIndex: -1 });
+      const entryField = [...serializeMessageId(previous)].slice(3);
+      assert.equal(entryField.length, 10);
+    });
+  });
+
+  describe('compareMessageIds', () => {
+    it('orders by ledger, then entry, then batch index', () => {
+      const id = (ledgerId, entryId, batchIndex) => ({ ledgerId, entryId, partition: -1, batchIndex });
+
+      assert.ok(compareMessageIds(id(1n, 99n, 9), id(2n, 0n, 0)) < 0);
+      assert.ok(compareMessageIds(id(2n, 5n, 0), id(2n, 4n, 9)) > 0);
+      assert.ok(compareMessageIds(id(2n, 5n, 1), id(2n, 5n, 3)) < 0);
+      assert.equal(compareMessageIds(id(2n, 5n, -1), id(2n, 5n, -1)), 0);
+    });
+  });
+});